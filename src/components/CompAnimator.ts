@@ -0,0 +1,453 @@
+// Animator Component, animation state graph with blend spaces, crossfades, clip events and upper-body layers
+import { THREE } from "@enable3d/phaser-extension";
+import type { VRMHumanBoneName } from "@pixiv/three-vrm";
+import { GameObject, GameObjectComponent, ICompProps, COMP_PRIORITY, registerComponent } from '../engine/GameObject';
+import { CompMovement } from './CompMovement';
+
+const _pos = new THREE.Vector3()
+
+export type AnimParams = Record<string, number | boolean>;
+
+export interface IAnimTransition {
+  to: string;
+  when?: (params: AnimParams) => boolean;  // taken once this returns true (and exitTime has passed)
+  duration?: number;                       // crossfade seconds, defaults to the animator's crossfade
+  exitTime?: number;                       // 0..1 of the current state's clip that has to play first
+}
+
+export interface IAnimEvent {
+  time: number;   // seconds into the clip (blend spaces use their first clip's length)
+  name: string;   // emitted on the game object as 'animationEvent'(name, state)
+}
+
+export interface IAnimState {
+  clip?: string;
+  blend1D?: { parameter: string; clips: { clip: string; threshold: number }[] };
+  blend2D?: { x: string; y: string; clips: { clip: string; x: number; y: number }[] };
+  loop?: boolean;             // default true
+  speed?: number;             // playback rate, default 1
+  speedParameter?: string;    // multiply the rate by a parameter
+  transitions?: IAnimTransition[];
+  events?: IAnimEvent[];
+}
+
+export interface IAnimLayer {
+  name: string;
+  mask?: string;              // bone the layer controls, with everything below it. On a VRM a humanoid bone ('spine')
+                              // or a normalized node: the raw J_Bip_* bones are overwritten by vrm.update
+  states: Record<string, IAnimState>;
+  initial: string;
+  anyState?: IAnimTransition[];  // checked from every state of the layer
+  weight?: number;            // 0..1, default 1 for the base layer and 0 for masked layers
+}
+
+export interface ICompAnimatorProps extends ICompProps {
+  states: Record<string, IAnimState>;   // base layer
+  initial: string;
+  anyState?: IAnimTransition[];
+  layers?: IAnimLayer[];                // drawn over the base layer in order
+  clips?: THREE.AnimationClip[];        // extra clips on top of the ones that came with the model
+  parameters?: AnimParams;              // starting values
+  crossfade?: number;                   // default crossfade seconds (default 0.2)
+  autoParameters?: boolean;             // fill speed / verticalVelocity / grounded / flying every frame (default true)
+  eventTriggers?: string[];             // game object events that fire a trigger of the same name
+}
+
+interface IStateAction {
+  action: THREE.AnimationAction;
+  threshold?: number;
+  x?: number;
+  y?: number;
+  blend: number;              // weight inside the state, from the blend space
+}
+
+interface IRuntimeState {
+  name: string;
+  def: IAnimState;
+  actions: IStateAction[];
+  weight: number;
+  fadeSpeed: number;          // weight change per second, negative while fading out
+  time: number;               // normalized, from the first action
+}
+
+interface IRuntimeLayer {
+  def: IAnimLayer;
+  mixer: THREE.AnimationMixer;
+  states: Map<string, IRuntimeState>;
+  current: IRuntimeState | null;
+  weight: number;
+  targetWeight: number;
+  weightSpeed: number;
+  bones: THREE.Object3D[];    // masked bones, their base pose is blended with the layer's
+  pose: { q: THREE.Quaternion; p: THREE.Vector3; s: THREE.Vector3 }[];
+}
+
+/**
+ * Drives a model's clips from parameters. Each layer is a small state graph: states play one clip or a 1D/2D
+ * blend space, transitions fire when their `when` returns true and crossfade over `duration`. Masked layers
+ * (e.g. an upper-body wave or aim) are blended over the base layer bone by bone with the layer weight.
+ *
+ * With `autoParameters` on, `speed` (horizontal), `verticalVelocity`, `grounded` and `flying` come from the
+ * physics body or the object's movement and CompMovement each frame. Triggers set with `trigger()` last one
+ * update; game object events listed in `eventTriggers` (CompMovement emits `jumped` and `interact`) fire them.
+ *
+ * @example
+ * obj.addComponent(CompAnimator, {
+ *   initial: 'locomotion',
+ *   states: {
+ *     locomotion: {
+ *       blend1D: { parameter: 'speed', clips: [{ clip: 'Idle', threshold: 0 }, { clip: 'Walk', threshold: 2 }, { clip: 'Run', threshold: 6 }] },
+ *       transitions: [{ to: 'jump', when: p => !p.grounded }]
+ *     },
+ *     jump: { clip: 'Jump', loop: false, transitions: [{ to: 'locomotion', when: p => !!p.grounded, duration: 0.1 }] }
+ *   },
+ *   layers: [{ name: 'wave', mask: 'spine', initial: 'wave', states: { wave: { clip: 'Wave' } } }]
+ * });
+ */
+export class CompAnimator extends GameObjectComponent {
+  static priority = COMP_PRIORITY.ANIMATION;
+  static serializable = ['initial', 'parameters', 'crossfade', 'autoParameters', 'eventTriggers'];
+  clips = new Map<string, THREE.AnimationClip>();
+  params: AnimParams;
+  layers: IRuntimeLayer[] = [];
+  crossfade: number;
+  private triggers = new Set<string>();
+  private movement: CompMovement | undefined;
+  private lastPos = new THREE.Vector3();
+  private hasLastPos = false;
+  private eventListeners: [string, () => void][] = [];
+  constructor(gameObject: GameObject, props: ICompAnimatorProps) {
+    super(gameObject, props);
+    this.name = 'CompAnimator';
+    this.params = { speed: 0, verticalVelocity: 0, grounded: true, flying: false, ...props.parameters };
+    this.crossfade = props.crossfade ?? 0.2;
+  }
+
+  compStart(): void {
+    const p = this.props as ICompAnimatorProps;
+    const root = this.parent.props.object3D;
+    root.traverse((node: THREE.Object3D) => node.animations?.forEach(clip => this.clips.set(clip.name, clip)));
+    p.clips?.forEach(clip => this.clips.set(clip.name, clip));
+    this.movement = this.getComponent(CompMovement);
+    this.addLayer({ name: 'base', states: p.states ?? {}, initial: p.initial, anyState: p.anyState, weight: 1 });
+    p.layers?.forEach(layer => this.addLayer(layer));
+    for (const event of p.eventTriggers ?? ['jumped', 'interact']) {
+      const listener = () => this.trigger(event);
+      this.parent.on(event, listener, this);
+      this.eventListeners.push([event, listener]);
+    }
+  }
+
+  compReset(): void {
+    this.hasLastPos = false;
+    this.triggers.clear();
+    for (const layer of this.layers) {
+      layer.states.forEach(state => this.stopState(state));
+      layer.current = null;
+      this.play(layer.def.initial, 0, layer.def.name);
+    }
+  }
+
+  compLateUpdate(dt: number): void {
+    if (!this.parent.alive || dt <= 0) return;
+    if ((this.props as ICompAnimatorProps).autoParameters !== false) this.sampleParameters(dt);
+    for (const layer of this.layers) this.updateLayer(layer, dt);
+    this.triggers.forEach(name => this.params[name] = false);
+    this.triggers.clear();
+  }
+
+  compDestroy(): void {
+    this.eventListeners.forEach(([event, listener]) => this.parent.off(event, listener, this));
+    this.eventListeners = [];
+    for (const layer of this.layers) {
+      layer.mixer.stopAllAction();
+      layer.mixer.uncacheRoot(this.parent.props.object3D);
+    }
+    this.layers = [];
+  }
+
+  compGetState() {
+    return { params: { ...this.params } };
+  }
+
+  compSetState(state: { params?: AnimParams }): void {
+    Object.assign(this.params, state.params);
+  }
+
+  // --- Parameters ------------------------------------------------------------
+
+  setParam(name: string, value: number | boolean) {
+    this.params[name] = value;
+  }
+
+  getParam(name: string) {
+    return this.params[name];
+  }
+
+  /* true for the next update only, e.g. trigger('attack') with when: p => !!p.attack */
+  trigger(name: string) {
+    this.params[name] = true;
+    this.triggers.add(name);
+  }
+
+  // --- States ----------------------------------------------------------------
+
+  /* jump straight to a state, crossfading over `duration` */
+  play(state: string, duration = this.crossfade, layerName = 'base') {
+    const layer = this.layers.find(l => l.def.name === layerName);
+    const target = layer?.states.get(state);
+    if (!layer || !target) {
+      console.warn(`CompAnimator: unknown state '${state}' on layer '${layerName}'`);
+      return;
+    }
+    this.enterState(layer, target, duration);
+  }
+
+  currentState(layerName = 'base') {
+    return this.layers.find(l => l.def.name === layerName)?.current?.name ?? null;
+  }
+
+  /* fade a layer in or out */
+  setLayerWeight(layerName: string, weight: number, duration = this.crossfade) {
+    const layer = this.layers.find(l => l.def.name === layerName);
+    if (!layer) return;
+    layer.targetWeight = THREE.MathUtils.clamp(weight, 0, 1);
+    layer.weightSpeed = duration > 0 ? Math.abs(layer.targetWeight - layer.weight) / duration : Infinity;
+  }
+
+  // --- Internals -------------------------------------------------------------
+
+  private addLayer(def: IAnimLayer) {
+    const root = this.parent.props.object3D;
+    let bones: THREE.Object3D[] = [];
+    let mask: Set<string> | null = null;
+    if (def.mask) {
+      // VRM clips animate the normalized rig (see retargetMixamoClip), so humanoid names resolve to it
+      const vrm = this.parent.props.vrm;
+      const maskRoot = vrm?.humanoid.getNormalizedBoneNode(def.mask as VRMHumanBoneName) ?? root.getObjectByName(def.mask);
+      if (!maskRoot) console.warn(`CompAnimator: mask bone '${def.mask}' not found for layer '${def.name}'`);
+      maskRoot?.traverse((node: THREE.Object3D) => bones.push(node));
+      mask = new Set(bones.map(bone => bone.name));
+    }
+    const weight = def.weight ?? (def.mask ? 0 : 1);
+    const layer: IRuntimeLayer = {
+      def,
+      mixer: new THREE.AnimationMixer(root),
+      states: new Map(),
+      current: null,
+      weight,
+      targetWeight: weight,
+      weightSpeed: Infinity,
+      bones,
+      pose: bones.map(() => ({ q: new THREE.Quaternion(), p: new THREE.Vector3(), s: new THREE.Vector3() }))
+    };
+    for (const name in def.states) {
+      layer.states.set(name, this.buildState(layer, name, def.states[name], mask));
+    }
+    this.layers.push(layer);
+    const initial = layer.states.get(def.initial);
+    if (initial) this.enterState(layer, initial, 0);
+    else console.warn(`CompAnimator: initial state '${def.initial}' missing on layer '${def.name}'`);
+  }
+
+  private buildState(layer: IRuntimeLayer, name: string, def: IAnimState, mask: Set<string> | null): IRuntimeState {
+    const entries: { clip: string; threshold?: number; x?: number; y?: number }[] =
+      def.blend1D ? [...def.blend1D.clips].sort((a, b) => a.threshold - b.threshold) :
+      def.blend2D ? def.blend2D.clips :
+      def.clip ? [{ clip: def.clip }] : [];
+    const actions: IStateAction[] = [];
+    for (const entry of entries) {
+      let clip = this.clips.get(entry.clip);
+      if (!clip) {
+        console.warn(`CompAnimator: clip '${entry.clip}' not found for state '${name}'`);
+        continue;
+      }
+      if (mask) clip = this.maskClip(clip, mask);
+      const action = layer.mixer.clipAction(clip);
+      if (def.loop === false) {
+        action.setLoop(THREE.LoopOnce, 1);
+        action.clampWhenFinished = true;
+      }
+      actions.push({ action, threshold: entry.threshold, x: entry.x, y: entry.y, blend: 0 });
+    }
+    return { name, def, actions, weight: 0, fadeSpeed: 0, time: 0 };
+  }
+
+  /* copy of a clip with only the tracks for masked bones */
+  private maskClip(clip: THREE.AnimationClip, mask: Set<string>) {
+    const tracks = clip.tracks.filter(track => mask.has(THREE.PropertyBinding.parseTrackName(track.name).nodeName));
+    return new THREE.AnimationClip(`${clip.name}:masked`, clip.duration, tracks);
+  }
+
+  private enterState(layer: IRuntimeLayer, state: IRuntimeState, duration: number) {
+    const fadeSpeed = duration > 0 ? 1 / duration : Infinity;
+    layer.states.forEach(other => { if (other !== state && other.weight > 0) other.fadeSpeed = -fadeSpeed; });
+    state.fadeSpeed = fadeSpeed;
+    state.time = 0;
+    for (const { action } of state.actions) {
+      action.reset();
+      action.play();
+    }
+    if (duration <= 0) {
+      layer.states.forEach(other => { if (other !== state) this.stopState(other); });
+      state.weight = 1;
+    }
+    layer.current = state;
+  }
+
+  private stopState(state: IRuntimeState) {
+    state.weight = 0;
+    state.fadeSpeed = 0;
+    state.actions.forEach(({ action }) => action.stop());
+  }
+
+  private updateLayer(layer: IRuntimeLayer, dt: number) {
+    const current = layer.current;
+    if (current) {
+      const transition = this.pickTransition(layer, current);
+      if (transition) this.enterState(layer, layer.states.get(transition.to)!, transition.duration ?? this.crossfade);
+    }
+    if (layer.weight !== layer.targetWeight) {
+      const step = layer.weightSpeed * dt;
+      layer.weight = layer.weight < layer.targetWeight
+        ? Math.min(layer.targetWeight, layer.weight + step)
+        : Math.max(layer.targetWeight, layer.weight - step);
+    }
+    layer.states.forEach(state => {
+      if (state.fadeSpeed === 0 && state.weight === 0) return;
+      state.weight = THREE.MathUtils.clamp(state.weight + state.fadeSpeed * dt, 0, 1);
+      if (state.weight === 0 && state.fadeSpeed < 0) {
+        this.stopState(state);
+        return;
+      }
+      if (state.weight === 1) state.fadeSpeed = 0;
+      this.applyBlend(state);
+    });
+    if (layer.weight <= 0) return;
+    const masked = layer.bones.length > 0;
+    // masked layers override the base pose, keep it around to blend back by the layer weight
+    if (masked) layer.bones.forEach((bone, i) => {
+      layer.pose[i].q.copy(bone.quaternion);
+      layer.pose[i].p.copy(bone.position);
+      layer.pose[i].s.copy(bone.scale);
+    });
+    const before = new Map<IRuntimeState, number>();
+    layer.states.forEach(state => { if (state.actions.length) before.set(state, this.normalizedTime(state)); });
+    layer.mixer.update(dt);
+    before.forEach((prev, state) => this.fireEvents(state, prev));
+    if (masked && layer.weight < 1) layer.bones.forEach((bone, i) => {
+      const pose = layer.pose[i];
+      bone.quaternion.slerpQuaternions(pose.q, bone.quaternion, layer.weight);
+      bone.position.lerpVectors(pose.p, bone.position, layer.weight);
+      bone.scale.lerpVectors(pose.s, bone.scale, layer.weight);
+    });
+  }
+
+  private pickTransition(layer: IRuntimeLayer, current: IRuntimeState) {
+    const time = this.normalizedTime(current);
+    const candidates = [...(current.def.transitions ?? []), ...(layer.def.anyState ?? [])];
+    return candidates.find(t =>
+      t.to !== current.name &&
+      layer.states.has(t.to) &&
+      (t.exitTime === undefined || time >= t.exitTime) &&
+      (!t.when || t.when(this.params))
+    );
+  }
+
+  /* weights inside a blend space times the state's crossfade weight, playback rates synced to one phase */
+  private applyBlend(state: IRuntimeState) {
+    const { def, actions } = state;
+    if (!actions.length) return;
+    if (def.blend1D) this.blend1D(actions, Number(this.params[def.blend1D.parameter] ?? 0));
+    else if (def.blend2D) this.blend2D(actions, Number(this.params[def.blend2D.x] ?? 0), Number(this.params[def.blend2D.y] ?? 0));
+    else actions[0].blend = 1;
+    let rate = def.speed ?? 1;
+    if (def.speedParameter) rate *= Number(this.params[def.speedParameter] ?? 1);
+    // walk and run of different lengths stay in step by sharing the blended cycle length
+    let cycle = 0;
+    for (const a of actions) cycle += a.blend * a.action.getClip().duration;
+    for (const a of actions) {
+      a.action.setEffectiveWeight(a.blend * state.weight);
+      const duration = a.action.getClip().duration;
+      a.action.setEffectiveTimeScale(actions.length > 1 && cycle > 0 ? rate * duration / cycle : rate);
+    }
+  }
+
+  private blend1D(actions: IStateAction[], value: number) {
+    actions.forEach(a => a.blend = 0);
+    const first = actions[0], last = actions[actions.length - 1];
+    if (value <= first.threshold!) { first.blend = 1; return; }
+    if (value >= last.threshold!) { last.blend = 1; return; }
+    for (let i = 0; i < actions.length - 1; i++) {
+      const a = actions[i], b = actions[i + 1];
+      if (value >= a.threshold! && value <= b.threshold!) {
+        const t = b.threshold! > a.threshold! ? (value - a.threshold!) / (b.threshold! - a.threshold!) : 0;
+        a.blend = 1 - t;
+        b.blend = t;
+        return;
+      }
+    }
+  }
+
+  /* inverse distance weighting, a sample sitting on the point gets everything */
+  private blend2D(actions: IStateAction[], x: number, y: number) {
+    let total = 0;
+    for (const a of actions) {
+      const d2 = (a.x! - x) ** 2 + (a.y! - y) ** 2;
+      if (d2 < 1e-6) {
+        actions.forEach(o => o.blend = o === a ? 1 : 0);
+        return;
+      }
+      a.blend = 1 / d2;
+      total += a.blend;
+    }
+    actions.forEach(a => a.blend /= total);
+  }
+
+  private normalizedTime(state: IRuntimeState) {
+    const action = state.actions[0]?.action;
+    const duration = action?.getClip().duration ?? 0;
+    return duration > 0 ? action!.time / duration : 0;
+  }
+
+  /* fire clip events crossed since `prev`, looping clips wrap around */
+  private fireEvents(state: IRuntimeState, prev: number) {
+    const now = this.normalizedTime(state);
+    state.time = now;
+    if (!state.def.events?.length || state.weight < 0.5) return;
+    const duration = state.actions[0].action.getClip().duration;
+    for (const event of state.def.events) {
+      const at = event.time / duration;
+      const crossed = now >= prev ? at > prev && at <= now : at > prev || at <= now;
+      if (crossed) this.parent.emit('animationEvent', event.name, state.name);
+    }
+  }
+
+  /* speed / verticalVelocity from the body when it moves itself, otherwise from how far the object moved */
+  private sampleParameters(dt: number) {
+    const object3D = this.parent.props.object3D;
+    const body = object3D.hasBody ? object3D.body : null;
+    let vx = 0, vy = 0, vz = 0;
+    const pos = object3D.getWorldPosition(_pos);
+    if (body && body.getCollisionFlags?.() === 0) {
+      const v = body.velocity;
+      vx = v.x; vy = v.y; vz = v.z;
+    } else if (this.hasLastPos) {
+      vx = (pos.x - this.lastPos.x) / dt;
+      vy = (pos.y - this.lastPos.y) / dt;
+      vz = (pos.z - this.lastPos.z) / dt;
+    }
+    this.lastPos.copy(pos);
+    this.hasLastPos = true;
+    this.params.speed = Math.hypot(vx, vz);
+    this.params.verticalVelocity = vy;
+    if (this.movement) {
+      this.params.grounded = this.movement.grounded;
+      this.params.flying = this.movement.flying;
+    } else {
+      this.params.grounded = Math.abs(vy) < 0.1;
+    }
+  }
+}
+
+registerComponent('CompAnimator', CompAnimator);
@@ -1,6 +1,6 @@
 // This component adds buoyancy behavior to a 3D object
 import { THREE } from "@enable3d/phaser-extension";
-import { GameObject, GameObjectComponent, ICompProps } from '../engine/GameObject';
+import { GameObject, GameObjectComponent, ICompProps, ICompDependency, COMP_PRIORITY, registerComponent } from '../engine/GameObject';
 import { CompWaterPBR } from './CompWaterPBR';
 
 const _probeWorld = new THREE.Vector3()
@@ -14,7 +14,7 @@ const _angularAxis = new THREE.Vector3()
 const _deltaQuat = new THREE.Quaternion()
 
 export interface ICompBuoyancyProps extends ICompProps {
-  water: CompWaterPBR; // Reference to the CompWaterPBR
+  water?: CompWaterPBR; // Reference to the CompWaterPBR (default: first one found in the scene)
   probes: THREE.Vector3[]; // Local-space points on the object to sample water height
   density?: number; // Density of the object (default: 1)
   volume?: number; // Volume of the object (default: 1)
@@ -24,6 +24,11 @@ export interface ICompBuoyancyProps extends ICompProps {
 }
 
 export class CompBuoyancy extends GameObjectComponent {
+  static requires: Record<string, ICompDependency> = {
+    water: { component: CompWaterPBR, scope: 'scene' }
+  }
+  static priority = COMP_PRIORITY.PHYSICS;
+  static serializable = ['probes', 'density', 'volume', 'dragCoefficient', 'angularDragCoefficient', 'gravity'];
   water: CompWaterPBR;
   density: number;
   volume: number;
@@ -36,21 +41,19 @@ export class CompBuoyancy extends GameObjectComponent {
   private _angularVelocity: THREE.Vector3 = new THREE.Vector3();
   constructor(gameObject: GameObject, props: ICompBuoyancyProps) {
     super(gameObject, props);
+    this.name = 'CompBuoyancy';
     const p = this.props as ICompBuoyancyProps;
-    this.water = p.water;
+    this.water = p.water as CompWaterPBR;
     this.density = p.density || 0.5;
     this.volume = p.volume || 1;
     this.dragCoefficient = p.dragCoefficient || 0.75;
     this.angularDragCoefficient = p.angularDragCoefficient || 0.75;
     this.gravity = p.gravity || new THREE.Vector3(0, -9.81, 0);
-    if (!this.water) {
-      console.warn('CompBuoyancy: water property is required', this.water);
-    }
   }
 
   compStart(){  }
 
-  compUpdate(dt: number) {
+  compFixedUpdate(dt: number) {
     const p = this.props as ICompBuoyancyProps;
     if (!p.probes || p.probes.length === 0 || !this.water) return;
 
@@ -147,5 +150,12 @@ export class CompBuoyancy extends GameObjectComponent {
     object3D.updateMatrixWorld(true);
   }
 
+  compReset() {
+    this._velocity.set(0, 0, 0);
+    this._angularVelocity.set(0, 0, 0);
+  }
+
   compDestroy(){  }
-}
\ No newline at end of file
+}
+
+registerComponent('CompBuoyancy', CompBuoyancy);
@@ -1,64 +1,254 @@
-// Camera Component, a simple camera controller
+// Camera Component: first-person, over-the-shoulder, orbit and fixed cameras with spring-arm collision
 import { THREE } from "@enable3d/phaser-extension";
-import { GameObject, GameObjectComponent, ICompProps } from '../engine/GameObject';
+import { GameObject, GameObjectComponent, ICompProps, COMP_PRIORITY, registerComponent } from '../engine/GameObject';
+import { actions } from '../engine/InputActions';
+
+export type CameraMode = 'firstPerson' | 'thirdPerson' | 'orbit' | 'fixed';
 
 export interface ICompCameraProps extends ICompProps {
-  offset?: { x: number; y: number; z: number };
-  sensitivity?: number;
-  slerpSpeed?: number;
-  lerpSpeed?: number;
+  mode?: CameraMode;                              // default 'thirdPerson'
+  modes?: CameraMode[];                           // cycled by the 'switchCamera' action (default third and first person)
+  offset?: { x: number; y: number; z: number };   // x shoulder, y pivot height above the object, z arm length (default 0.6, 1.6, 3)
+  eyeHeight?: number;                             // first person, default offset.y
+  orbitTarget?: { x: number; y: number; z: number };    // orbit this point instead of the object
+  fixedPosition?: { x: number; y: number; z: number };  // fixed mode, default where the camera was when switching
+  sensitivity?: number;                           // radians per 'look' pixel (default 0.002)
+  invertY?: boolean;
+  minPitch?: number;                              // degrees, default -80 (looking down)
+  maxPitch?: number;                              // degrees, default 80
+  minDistance?: number;                           // zoom range of third person and orbit (default 1.5..8)
+  maxDistance?: number;
+  zoomSpeed?: number;                             // metres per wheel pixel (default 0.005)
+  collision?: boolean;                            // pull the arm in front of physics geometry (default true)
+  collisionRadius?: number;                       // kept between the camera and walls (default 0.2)
+  followSharpness?: number;                       // 1/s, how fast the pivot catches up, 0 snaps (default 20)
+  rotationSharpness?: number;                     // 1/s, 0 snaps (default 30)
+  armSharpness?: number;                          // 1/s, how fast the arm grows back after a wall (default 6)
+  pointerLock?: boolean;                          // first and third person lock the mouse on click (default true)
   fov?: number;
+  viewport?: string;                              // drive this secondary camera (see Viewports) instead of the main one
+}
+
+const _pivot = new THREE.Vector3();
+const _arm = new THREE.Vector3();
+const _look = new THREE.Vector2();
+const _quat = new THREE.Quaternion();
+const _euler = new THREE.Euler(0, 0, 0, 'YXZ');
+const _matrix = new THREE.Matrix4();
+const _up = new THREE.Vector3(0, 1, 0);
+
+/* share of the way to the target after dt at a given sharpness, the same whatever the frame rate */
+function damp(sharpness: number, dt: number) {
+  return sharpness > 0 ? 1 - Math.exp(-sharpness * dt) : 1;
 }
 
-export class CompCamera extends GameObjectComponent {  
+/**
+ * Yaw and pitch come from the 'look' action, zoom from 'zoom' and 'switchCamera' cycles `modes`. In first and third
+ * person the object turns with the camera (CompMovement walks where the camera looks); orbit and fixed leave it
+ * alone. Orbit turns while a mouse button is held, the others while the pointer is locked.
+ *
+ * @example
+ * CompCamera: { mode: 'thirdPerson', offset: { x: 0.6, y: 1.6, z: 3 }, maxDistance: 6 }
+ * obj.getComponent(CompCamera).setMode('orbit');
+ */
+export class CompCamera extends GameObjectComponent {
+  static priority = COMP_PRIORITY.CAMERA;
+  static serializable = ['mode', 'modes', 'offset', 'eyeHeight', 'orbitTarget', 'fixedPosition', 'sensitivity', 'invertY', 'minPitch', 'maxPitch',
+    'minDistance', 'maxDistance', 'zoomSpeed', 'collision', 'collisionRadius', 'followSharpness', 'rotationSharpness', 'armSharpness', 'pointerLock', 'fov', 'viewport'];
   camera: THREE.PerspectiveCamera | THREE.OrthographicCamera;
+  mode: CameraMode;
+  yaw = 0;
+  pitch = 0;
+  distance: number;             // arm length asked for, zoom changes it
+  private armLength: number;    // after collision
+  private pivot = new THREE.Vector3();
+  private fixedPosition = new THREE.Vector3();
+  private ray: any = null;
+  private started = false;
   constructor(gameObject: GameObject, props: ICompCameraProps) {
     super(gameObject, props);
-    this.camera = this.parent.props.gameScene.third.camera;
+    const scene = this.parent.props.gameScene;
+    const viewport = props.viewport ? scene.viewports.get(props.viewport) : undefined;
+    if (props.viewport && !viewport) console.warn(`CompCamera: no viewport '${props.viewport}', using the main camera`);
+    this.camera = viewport?.camera ?? scene.third.camera;
     if (this.camera instanceof THREE.PerspectiveCamera) {
       this.camera.fov = props.fov || 75;
       this.camera.updateProjectionMatrix();
     }
+    this.mode = props.mode ?? 'thirdPerson';
+    this.distance = props.offset?.z ?? 3;
+    this.armLength = this.distance;
   }
+
   compStart(): void {
-    // on mouse move, move camera
-    this.parent.props.gameScene.input.on('pointermove', (pointer: Phaser.Input.Pointer) => {
-      if (!this.parent.alive) return;
-      const p = this.props as ICompCameraProps;
-      const cam = this.camera;
-      const mouse = this.parent.props.gameScene.input.mousePointer;
-      const moveEvent: any = mouse.event;
-      // look direction
-      const sensitivity = p.sensitivity || 0.002;
-      const euler = new THREE.Euler(0, 0, 0, 'YXZ');
-      euler.setFromQuaternion(cam.quaternion);
-      euler.y -= moveEvent.movementX * sensitivity;
-      euler.x -= moveEvent.movementY * sensitivity;
-      euler.x = Math.max(-Math.PI / 2, Math.min(Math.PI / 2, euler.x));
-      //smoothly interpolate to new rotation
-      const targetQuat = new THREE.Quaternion().setFromEuler(euler);
-      const slerpSpeed = p.slerpSpeed || 0.9;
-      cam.quaternion.slerp(targetQuat, slerpSpeed);
-      const root = this.parent.props.object3D;
-      root.rotation.y = euler.y;  // rotate the player body (y axis only
-    });
+    this.yaw = this.parent.props.object3D.rotation.y;
+    this.pitch = 0;
+    this.parent.props.vrm?.firstPerson?.setup();
+    this.parent.props.gameScene.input.on('pointerdown', this.onPointerDown, this);
+    actions.on('pressed', this.onAction, this);
+    this.setMode(this.mode);
+    this.started = true;
+    this.snap();
+  }
+
+  compDestroy(): void {
+    this.parent.props.gameScene.input.off('pointerdown', this.onPointerDown, this);
+    actions.off('pressed', this.onAction, this);
+    this.unlockPointer();
+    this.ray?.destroy();
+    this.ray = null;
+  }
+
+  // --- Modes -----------------------------------------------------------------
+
+  setMode(mode: CameraMode) {
+    const p = this.props as ICompCameraProps;
+    const previous = this.mode;
+    this.mode = mode;
+    const fixed = p.fixedPosition;
+    if (mode === 'fixed') this.fixedPosition.copy(fixed ? _arm.set(fixed.x, fixed.y, fixed.z) : this.camera.position);
+    if (!this.locksPointer()) this.unlockPointer();
+    // a VRM's head is only drawn for the other cameras, see VRMFirstPerson
+    const firstPerson = this.parent.props.vrm?.firstPerson;
+    if (firstPerson) {
+      this.camera.layers.enable(mode === 'firstPerson' ? firstPerson.firstPersonOnlyLayer : firstPerson.thirdPersonOnlyLayer);
+      this.camera.layers.disable(mode === 'firstPerson' ? firstPerson.thirdPersonOnlyLayer : firstPerson.firstPersonOnlyLayer);
+    }
+    if (this.started && mode !== previous) this.parent.emit('cameraMode', mode, previous);
   }
 
+  /* next of `modes`, what 'switchCamera' does */
+  cycleMode() {
+    const modes = (this.props as ICompCameraProps).modes ?? ['thirdPerson', 'firstPerson'];
+    this.setMode(modes[(modes.indexOf(this.mode) + 1) % modes.length]);
+  }
+
+  /* jump to the target without smoothing, after teleports and cuts */
+  snap() {
+    this.place(0, true);
+  }
+
+  // --- Update ----------------------------------------------------------------
+
+  // look input turns the object before the next movement step
   compUpdate(dt: number): void {
+    if (!this.parent.alive || this.mode === 'fixed') return;
+    // a rail has the camera, the player keeps facing where they were
+    if (this.parent.props.gameScene.cameraEffects?.onRail) return;
+    const p = this.props as ICompCameraProps;
+    const look = _look.copy(actions.vector('look'));
+    if (!this.mouseLooks()) look.sub(actions.delta('Mouse:Delta'));
+    const sensitivity = p.sensitivity || 0.002;
+    this.yaw -= look.x * sensitivity;
+    this.pitch -= look.y * sensitivity * (p.invertY ? -1 : 1);
+    this.pitch = THREE.MathUtils.clamp(this.pitch, THREE.MathUtils.degToRad(p.minPitch ?? -80), THREE.MathUtils.degToRad(p.maxPitch ?? 80));
+    if (this.mode !== 'firstPerson') {
+      const zoom = actions.vector('zoom').y * (p.zoomSpeed ?? 0.005);
+      this.distance = THREE.MathUtils.clamp(this.distance + zoom, p.minDistance ?? 1.5, p.maxDistance ?? 8);
+    }
+    if (this.mode !== 'orbit') this.parent.props.object3D.rotation.y = this.yaw;
+  }
+
+  // follow in the late phase so the body has already moved this frame
+  compLateUpdate(dt: number): void {
     if (!this.parent.alive) return;
+    this.place(dt, false);
+  }
+
+  private place(dt: number, instant: boolean) {
     const p = this.props as ICompCameraProps;
-    const root = this.parent.props.object3D;
     const cam = this.camera;
-    const lerpSpeed = p.lerpSpeed || 0.9;
-    if (!cam) return;
-    // offset, lerp to position
-    if (p.offset) {
-      const targetPos = new THREE.Vector3(p.offset.x, p.offset.y, p.offset.z);
-      targetPos.applyQuaternion(root.quaternion);
-      targetPos.add(root.position);
-      cam.position.lerp(targetPos, lerpSpeed);
-    } else {
-      cam.position.lerp(root.position, lerpSpeed);
+    const root = this.parent.props.object3D;
+    const offset = p.offset ?? { x: 0.6, y: 1.6, z: 3 };
+    const follow = instant ? 1 : damp(p.followSharpness ?? 20, dt);
+    const turn = instant ? 1 : damp(p.rotationSharpness ?? 30, dt);
+
+    if (this.mode === 'orbit' && p.orbitTarget) _pivot.set(p.orbitTarget.x, p.orbitTarget.y, p.orbitTarget.z);
+    else _pivot.copy(root.position).y += this.mode === 'firstPerson' ? p.eyeHeight ?? offset.y : offset.y;
+    // the eyes don't lag behind the head
+    this.pivot.lerp(_pivot, this.mode === 'firstPerson' ? 1 : follow);
+
+    if (this.mode === 'fixed') {
+      _matrix.lookAt(this.fixedPosition, this.pivot, _up);
+      cam.position.copy(this.fixedPosition);
+      cam.quaternion.slerp(_quat.setFromRotationMatrix(_matrix), turn);
+      return;
+    }
+
+    cam.quaternion.slerp(_quat.setFromEuler(_euler.set(this.pitch, this.yaw, 0)), turn);
+    if (this.mode === 'firstPerson') {
+      cam.position.copy(this.pivot);
+      return;
+    }
+    // shoulder offset then the arm, both along the camera's own axes so the pivot stays framed the same
+    const shoulder = this.mode === 'thirdPerson' ? offset.x : 0;
+    _arm.set(shoulder, 0, this.distance).applyQuaternion(cam.quaternion);
+    const wanted = _arm.length();
+    _arm.normalize();
+    const blocked = p.collision === false ? wanted : this.castArm(this.pivot, _arm, wanted);
+    // in at once so walls never get between us, back out gently
+    if (blocked < this.armLength || instant) this.armLength = blocked;
+    else this.armLength += (blocked - this.armLength) * damp(p.armSharpness ?? 6, dt);
+    cam.position.copy(this.pivot).addScaledVector(_arm, this.armLength);
+  }
+
+  // --- Helpers ---------------------------------------------------------------
+
+  /* free length of the arm from the pivot, less the collision radius */
+  private castArm(from: THREE.Vector3, dir: THREE.Vector3, length: number) {
+    const physics = this.parent.props.gameScene.third.physics;
+    if (!physics) return length;
+    const radius = (this.props as ICompCameraProps).collisionRadius ?? 0.2;
+    this.ray ??= physics.add.raycaster('allHits');
+    const rc = this.ray;
+    const reach = length + radius;
+    rc.setRayFromWorld(from.x, from.y, from.z);
+    rc.setRayToWorld(from.x + dir.x * reach, from.y + dir.y * reach, from.z + dir.z * reach);
+    rc.rayTest();
+    if (!rc.hasHit()) return length;
+    const points = rc.getHitPointsWorld();
+    const objects = rc.getCollisionObjects();
+    const scene = this.parent.props.gameScene;
+    let nearest = reach;
+    for (let i = 0; i < objects.length; i++) {
+      if (this.ignores(objects[i], scene.getGameObject(objects[i]))) continue;
+      nearest = Math.min(nearest, from.distanceTo(_pivot.set(points[i].x, points[i].y, points[i].z)));
     }
+    return Math.max(0, Math.min(length, nearest - radius));
   }
-}
\ No newline at end of file
+
+  /* our own body, anything attached to us, and triggers (no contact response) */
+  private ignores(object: any, owner: GameObject | undefined) {
+    if (object === this.parent.props.object3D) return true;
+    if (owner && (owner === this.parent || owner.isDescendantOf(this.parent))) return true;
+    return ((object.body?.getCollisionFlags?.() ?? 0) & 4) !== 0;
+  }
+
+  private locksPointer() {
+    return (this.props as ICompCameraProps).pointerLock !== false && (this.mode === 'firstPerson' || this.mode === 'thirdPerson');
+  }
+
+  /* whether mouse movement turns the camera right now, touch and gamepad always do */
+  private mouseLooks() {
+    const mouse = this.parent.props.gameScene.input.mouse;
+    if (this.mode === 'orbit') return actions.value('Mouse:0') > 0 || actions.value('Mouse:2') > 0;
+    return this.locksPointer() ? !!mouse?.locked : true;
+  }
+
+  private unlockPointer() {
+    const mouse = this.parent.props.gameScene.input.mouse;
+    if (mouse?.locked) mouse.releasePointerLock();
+  }
+
+  private onPointerDown(pointer: Phaser.Input.Pointer) {
+    if (!this.parent.alive || pointer.wasTouch || !this.locksPointer()) return;
+    const mouse = this.parent.props.gameScene.input.mouse;
+    if (!mouse?.locked) mouse?.requestPointerLock();
+  }
+
+  private onAction(action: string) {
+    if (action === 'switchCamera' && this.parent.alive) this.cycleMode();
+  }
+}
+
+registerComponent('CompCamera', CompCamera);
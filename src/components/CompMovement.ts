@@ -1,105 +1,161 @@
-// Movement Component, a simple first-person movement controller
+// Movement Component, a kinematic capsule character controller
 
-// - WASD to move
-// - space to jump
-// - shift to toggle fly mode (no gravity, free vertical movement with E/Q keys)
+// Player input comes from the input actions (see InputActions), default bindings:
+// - move: WASD / arrows / left stick
+// - jump: space / A
+// - toggleFly: shift / Y, fly mode has no gravity and free vertical movement with the fly axis (E/Q, RB/LB)
+// - interact: E / X, emitted as 'interact' on the game object
 import { THREE } from "@enable3d/phaser-extension";
-import { GameObject, GameObjectComponent, ICompProps } from '../engine/GameObject';
+import { GameObject, GameObjectComponent, ICompProps, COMP_PRIORITY, STATS, registerComponent } from '../engine/GameObject';
+import { actions } from '../engine/InputActions';
 
 export interface ICompMovementProps extends ICompProps {
-  speed?: number;
-  canJump?: boolean;
-  jumpForce?: number;
+  speed?: number;           // walk speed, m/s
+  canJump?: boolean;        // default true
+  jumpForce?: number;       // upward velocity at take-off, m/s
   canFly?: boolean;
   isFlying?: boolean;
   flySpeed?: number;
-  isFalling?: boolean;
-  gravity?: number;
+  gravity?: number;         // m/s², default 9.81
+  playerInput?: boolean;    // read the input actions, off for AI driven characters that call setMoveInput (default true)
+  acceleration?: number;    // how fast velocity reaches the input on the ground, 1/s (default 12)
+  airControl?: number;      // share of acceleration left in the air, 0..1 (default 0.3)
+  slopeLimit?: number;      // steepest walkable ground in degrees (default 50)
+  stepHeight?: number;      // ledges up to this high are stepped onto (default 0.35)
+  snapDistance?: number;    // stay glued to ground that drops away by up to this much, e.g. walking downhill (default 0.2)
+  coyoteTime?: number;      // seconds after walking off a ledge that jump still works (default 0.12)
+  jumpBuffer?: number;      // seconds a jump pressed before landing is remembered (default 0.15)
 }
 
+interface IGroundHit {
+  point: THREE.Vector3;
+  normal: THREE.Vector3;
+  distance: number;
+  object: THREE.Object3D;
+}
+
+const MAX_FALL_SPEED = 50;
+const SKIN = 0.02;          // gap kept to walls so rays don't start inside them
+
+const _dir = new THREE.Vector3();
+const _from = new THREE.Vector3();
+const _move = new THREE.Vector3();
+const _wish = new THREE.Vector3();
+const _delta = new THREE.Matrix4();
+const _quat = new THREE.Quaternion();
+const _euler = new THREE.Euler(0, 0, 0, 'YXZ');
+
+/**
+ * Moves a kinematic capsule (physicsConfig collisionFlags 2, like the one createFromModelVrm builds) by casting
+ * rays into the physics world instead of letting Ammo resolve contacts: walls stop and slide it, ground closer
+ * than `stepHeight` below the waist is stood on (so low ledges are climbed), steeper than `slopeLimit` slides
+ * it back down, and whatever it stands on carries it along when it moves or turns. Dynamic bodies it walks into
+ * are pushed by the kinematic body as usual.
+ *
+ * Emits `jumped`, `landed(fallSpeed)` and `interact` on the game object.
+ *
+ * @example
+ * npc.getComponent(CompMovement).setMoveInput(0, 1);   // walk forward, for playerInput: false
+ */
 export class CompMovement extends GameObjectComponent {
+  static priority = COMP_PRIORITY.MOVEMENT;
+  static serializable = ['speed', 'canJump', 'jumpForce', 'canFly', 'isFlying', 'flySpeed', 'gravity', 'playerInput', 'acceleration',
+    'airControl', 'slopeLimit', 'stepHeight', 'snapDistance', 'coyoteTime', 'jumpBuffer'];
+  velocity = new THREE.Vector3();
+  groundNormal = new THREE.Vector3(0, 1, 0);
   private speed: number;
   private canJump: boolean;
   private jumpForce: number;
   private flySpeed: number;
   private canFly: boolean;
   private isFlying: boolean;
-  private isFalling: boolean;
   private gravity: number;
-  private keys: Phaser.Input.Keyboard.KeyboardPlugin;
-  private keyW: Phaser.Input.Keyboard.Key;
-  private keyA: Phaser.Input.Keyboard.Key;
-  private keyS: Phaser.Input.Keyboard.Key;
-  private keyD: Phaser.Input.Keyboard.Key;
-  private keyE: Phaser.Input.Keyboard.Key;
-  private keyQ: Phaser.Input.Keyboard.Key;
-  private keyUp: Phaser.Input.Keyboard.Key;
-  private keyDown: Phaser.Input.Keyboard.Key;
-  private keyLeft: Phaser.Input.Keyboard.Key;
-  private keyRight: Phaser.Input.Keyboard.Key;
+  private isGrounded = false;
+  private coyoteTimer = 0;
+  private jumpTimer = 0;        // buffered jump request, seconds left
+  private moveInput = new THREE.Vector2();   // x right, y forward, -1..1
+  private flyInput = 0;                     // -1 down, 1 up
+  private radius = 0.5;
+  private halfHeight = 1;       // capsule center to feet
+  private platform: THREE.Object3D | null = null;
+  private platformMatrix = new THREE.Matrix4();
+  private ray: any = null;
   constructor(gameObject: GameObject, props: ICompMovementProps) {
     super(gameObject, props);
     this.speed = props.speed || 5;
-    this.canJump = props.canJump || false;
-    this.jumpForce = props.jumpForce || 10;
+    this.canJump = props.canJump ?? true;
+    this.jumpForce = props.jumpForce || 6;
     this.canFly = props.canFly || false;
     this.flySpeed = props.flySpeed || 5;
     this.isFlying = props.isFlying || false;
-    this.isFalling = props.isFalling || false;
     this.gravity = props.gravity || 9.81;
-    this.keys = this.parent.props.gameScene.input.keyboard as Phaser.Input.Keyboard.KeyboardPlugin;
-    this.keyW = this.keys.addKey('W');
-    this.keyA = this.keys.addKey('A');
-    this.keyS = this.keys.addKey('S');
-    this.keyD = this.keys.addKey('D');
-    this.keyE = this.keys.addKey('E');
-    this.keyQ = this.keys.addKey('Q');
-    this.keyUp = this.keys.addKey('UP');
-    this.keyDown = this.keys.addKey('DOWN');
-    this.keyLeft = this.keys.addKey('LEFT');
-    this.keyRight = this.keys.addKey('RIGHT');
   }
 
   compStart(): void {
-    this.parent.props.gameScene.input.keyboard?.on('keydown-E', () => {
-      this.parent.props.object3D.animation.play('Interact');
-    });
-    this.parent.props.gameScene.input.keyboard?.on('keydown-SPACE', () => {
-      this.jump();
-    });
-    if (this.canFly) {
-      this.parent.props.gameScene.input.keyboard?.on('keydown-SHIFT', () => {
-        this.toggleFly();
-      });
-    }
+    this.measure();
+    // only fixed steps move it, drawn in between so it doesn't stutter above 60 Hz
+    this.parent.interpolate = true;
+    const body = this.parent.props.object3D.body;
+    if (body && body.getCollisionFlags() !== 2) console.warn(`CompMovement: ${this.parent.props.name} should have a kinematic body (collisionFlags: 2)`);
+    if ((this.props as ICompMovementProps).playerInput === false) return;
+    actions.on('pressed', this.onAction, this);
+  }
+
+  compReset(): void {
+    this.velocity.set(0, 0, 0);
+    this.isGrounded = false;
+    this.platform = null;
+    this.jumpTimer = 0;
+    this.coyoteTimer = 0;
   }
 
-  compUpdate(dt: number): void {
-    const keys = this.parent.props.gameScene.input.keyboard;
+  compDestroy(): void {
+    actions.off('pressed', this.onAction, this);
+    this.ray?.destroy();
+    this.ray = null;
+  }
+
+  compFixedUpdate(dt: number): void {
+    if (!this.parent.alive) return;
+    if ((this.props as ICompMovementProps).playerInput !== false) this.readActions();
+    const p = this.props as ICompMovementProps;
+    const root = this.parent.props.object3D;
+    this.followPlatform();
+    // input in world space, relative to where the character faces
+    _wish.set(this.moveInput.x, 0, -this.moveInput.y).clampLength(0, 1).applyQuaternion(root.quaternion);
+    _wish.y = 0;
     if (this.isFlying) {
-      if (this.keyE.isDown) {
-        this.parent.props.object3D.position.y += this.flySpeed * dt;
-      }
-      if (this.keyQ.isDown) {
-        this.parent.props.object3D.position.y -= this.flySpeed * dt;
-      }
-    }
-    if (this.keyW.isDown || this.keyUp.isDown) {
-      this.moveForward(dt);
-    }
-    if (this.keyS.isDown || this.keyDown.isDown) {
-      this.moveBackward(dt);
+      const flySpeed = this.parent.getStat(STATS.FLY_SPEED, this.flySpeed) * this.parent.status.speedMultiplier;
+      this.velocity.copy(_wish).multiplyScalar(flySpeed);
+      this.velocity.y = this.flyInput * flySpeed;
+      this.isGrounded = false;
+      this.platform = null;
+      this.moveHorizontal(dt);
+      this.moveVertical(dt);
+      return;
     }
-    if (this.keyA.isDown || this.keyLeft.isDown) {
-      this.moveLeft(dt);
-    }
-    if (this.keyD.isDown || this.keyRight.isDown) {
-      this.moveRight(dt);
-    }
-    // simple gravity
-    if (!this.isFlying && this.isFalling) {
-      this.parent.props.object3D.position.y -= this.gravity * dt; // gravity
+    // horizontal velocity eases towards the input, much slower in the air
+    const control = this.isGrounded ? 1 : p.airControl ?? 0.3;
+    const blend = 1 - Math.exp(-(p.acceleration ?? 12) * control * dt);
+    _wish.multiplyScalar(this.moveSpeed);
+    this.velocity.x += (_wish.x - this.velocity.x) * blend;
+    this.velocity.z += (_wish.z - this.velocity.z) * blend;
+
+    this.coyoteTimer = this.isGrounded ? p.coyoteTime ?? 0.12 : Math.max(0, this.coyoteTimer - dt);
+    this.jumpTimer = Math.max(0, this.jumpTimer - dt);
+    if (this.jumpTimer > 0 && this.canJump && this.coyoteTimer > 0) {
+      this.velocity.y = this.parent.getStat(STATS.JUMP_FORCE, this.jumpForce);
+      this.isGrounded = false;
+      this.platform = null;
+      this.jumpTimer = 0;
+      this.coyoteTimer = 0;
+      this.parent.emit('jumped');
     }
+    if (!this.isGrounded) this.velocity.y = Math.max(this.velocity.y - this.gravity * dt, -MAX_FALL_SPEED);
+
+    this.moveHorizontal(dt);
+    this.moveVertical(dt);
+    this.probeGround(dt);
   }
 
   compSetProperties(props: ICompMovementProps): void {
@@ -110,42 +166,211 @@ export class CompMovement extends GameObjectComponent {
       this.jumpForce = props.jumpForce ?? this.jumpForce;
       this.flySpeed = props.flySpeed ?? this.flySpeed;
       this.gravity = props.gravity ?? this.gravity;
-      this.isFalling = props.isFalling ?? this.isFalling;
+      Object.assign(this.props, props);
+  }
+
+  get grounded() {
+    return this.isGrounded && !this.isFlying;
+  }
+
+  get flying() {
+    return this.isFlying;
+  }
+
+  // --- Control ---------------------------------------------------------------
+
+  /* x strafes right, y walks forward, both -1..1. Replaced every step while playerInput is on */
+  setMoveInput(x: number, y: number, fly = 0) {
+    this.moveInput.set(x, y);
+    this.flyInput = fly;
+  }
+
+  /* jump now or as soon as the character lands within the jump buffer */
+  jump(): void {
+    if (this.canJump && !this.isFlying) this.jumpTimer = (this.props as ICompMovementProps).jumpBuffer ?? 0.15;
   }
 
-  private moveForward(dt: number): void {
-    const direction = new THREE.Vector3(0, 0, -1);
-    direction.applyQuaternion(this.parent.props.object3D.quaternion);
-    this.parent.props.object3D.position.add(direction.multiplyScalar(this.speed * dt));
+  toggleFly(): void {
+    if (!this.canFly) return;
+    this.isFlying = !this.isFlying;
+    this.velocity.set(0, 0, 0);
   }
 
-  private moveBackward(dt: number): void {
-    const direction = new THREE.Vector3(0, 0, 1);
-    direction.applyQuaternion(this.parent.props.object3D.quaternion);
-    this.parent.props.object3D.position.add(direction.multiplyScalar(this.speed * dt));
+  /* walk speed after stat modifiers (CompStats) and status effects (frozen) */
+  private get moveSpeed() {
+    return this.parent.getStat(STATS.MOVE_SPEED, this.speed) * this.parent.status.speedMultiplier;
   }
 
-  private moveLeft(dt: number): void {
-    const direction = new THREE.Vector3(-1, 0, 0);
-    direction.applyQuaternion(this.parent.props.object3D.quaternion);
-    this.parent.props.object3D.position.add(direction.multiplyScalar(this.speed * dt));
+  private readActions() {
+    const move = actions.vector('move');
+    this.setMoveInput(move.x, move.y, actions.axis('fly'));
   }
 
-  private moveRight(dt: number): void {
-    const direction = new THREE.Vector3(1, 0, 0);
-    direction.applyQuaternion(this.parent.props.object3D.quaternion);
-    this.parent.props.object3D.position.add(direction.multiplyScalar(this.speed * dt));
+  private onAction(action: string) {
+    if (!this.parent.alive) return;
+    if (action === 'jump') this.jump();
+    else if (action === 'toggleFly') this.toggleFly();
+    else if (action === 'interact') this.parent.emit('interact');
   }
 
-  private jump(): void {
-    if (this.canJump) {
-      this.parent.props.object3D.position.y += this.jumpForce;
-      this.canJump = false;
-      this.isFalling = true;
+  // --- Collision -------------------------------------------------------------
+
+  /* capsule size from the physics config createFromModelVrm writes, or the object's bounds */
+  private measure() {
+    const root = this.parent.props.object3D;
+    const config = this.parent.props.physicsConfig;
+    const scale = root.getWorldScale(new THREE.Vector3());
+    if (config?.shape === 'capsule' && config.radius) {
+      this.radius = config.radius * Math.max(scale.x, scale.z);
+      this.halfHeight = ((config.height ?? 0) / 2 + config.radius) * scale.y;
+      return;
     }
+    const size = new THREE.Box3().setFromObject(root).getSize(new THREE.Vector3());
+    this.radius = Math.max(0.05, Math.max(size.x, size.z) / 2);
+    this.halfHeight = Math.max(this.radius, size.y / 2);
   }
 
-  private toggleFly(): void {
-    this.isFlying = !this.isFlying;
+  /* slide along anything steeper than the slope limit between the step height and the head */
+  private moveHorizontal(dt: number) {
+    const root = this.parent.props.object3D;
+    _move.set(this.velocity.x * dt, 0, this.velocity.z * dt);
+    const minWallY = Math.cos(THREE.MathUtils.degToRad((this.props as ICompMovementProps).slopeLimit ?? 50));
+    const stepHeight = (this.props as ICompMovementProps).stepHeight ?? 0.35;
+    const heights = [-this.halfHeight + stepHeight + SKIN, 0, this.halfHeight - this.radius * 0.5];
+    // up to three walls (a corner and then some), whatever is left after that is dropped
+    for (let pass = 0; pass < 3; pass++) {
+      const length = _move.length();
+      if (length < 1e-6) return;
+      _dir.copy(_move).divideScalar(length);
+      let wall: IGroundHit | null = null;
+      for (const height of heights) {
+        _from.copy(root.position).y += height;
+        const hit = this.cast(_from, _dir, this.radius + length + SKIN);
+        if (hit && hit.normal.y < minWallY && (!wall || hit.distance < wall.distance)) wall = hit;
+      }
+      if (!wall) {
+        root.position.add(_move);
+        return;
+      }
+      // walk up to the wall, then slide the rest of the move along it
+      const allowed = THREE.MathUtils.clamp(wall.distance - this.radius - SKIN, 0, length);
+      root.position.addScaledVector(_dir, allowed);
+      const normal = wall.normal.setY(0).normalize();
+      _move.multiplyScalar(1 - allowed / length);
+      _move.addScaledVector(normal, -Math.min(0, _move.dot(normal)));
+      const into = this.velocity.x * normal.x + this.velocity.z * normal.z;
+      if (into < 0) {
+        this.velocity.x -= normal.x * into;
+        this.velocity.z -= normal.z * into;
+      }
+    }
+  }
+
+  private moveVertical(dt: number) {
+    const root = this.parent.props.object3D;
+    const dy = this.velocity.y * dt;
+    // head bumps, and the floor while flying (probeGround handles it when walking)
+    if (dy > 0 || (dy < 0 && this.isFlying)) {
+      const hit = this.cast(root.position, _dir.set(0, Math.sign(dy), 0), this.halfHeight + Math.abs(dy) + SKIN);
+      if (hit) {
+        root.position.y += Math.sign(dy) * Math.max(0, hit.distance - this.halfHeight - SKIN);
+        this.velocity.y = 0;
+        return;
+      }
+    }
+    root.position.y += dy;
+  }
+
+  /* rays down from the waist around the capsule, the highest hit is the ground */
+  private probeGround(dt: number) {
+    const p = this.props as ICompMovementProps;
+    const root = this.parent.props.object3D;
+    const stepHeight = p.stepHeight ?? 0.35;
+    const snap = this.isGrounded ? p.snapDistance ?? 0.2 : 0;
+    const reach = this.halfHeight + snap + Math.max(0, -this.velocity.y * dt);
+    const minGroundY = Math.cos(THREE.MathUtils.degToRad(p.slopeLimit ?? 50));
+    const r = this.radius * 0.6;
+    let ground: IGroundHit | null = null;
+    for (const [x, z] of [[0, 0], [r, 0], [-r, 0], [0, r], [0, -r]]) {
+      _from.set(root.position.x + x, root.position.y, root.position.z + z);
+      const hit = this.cast(_from, _dir.set(0, -1, 0), reach);
+      if (hit && (!ground || hit.point.y > ground.point.y)) ground = hit;
+    }
+    const wasGrounded = this.isGrounded;
+    const feet = root.position.y - this.halfHeight;
+    // only ground within step height above the feet counts, anything higher is a wall for moveHorizontal
+    if (!ground || this.velocity.y > 0 || ground.point.y > feet + stepHeight) {
+      this.isGrounded = false;
+      this.platform = null;
+      return;
+    }
+    root.position.y = ground.point.y + this.halfHeight;
+    if (ground.normal.y >= minGroundY) {
+      const fallSpeed = -this.velocity.y;
+      this.isGrounded = true;
+      this.groundNormal.copy(ground.normal);
+      this.velocity.y = 0;
+      if (this.platform !== ground.object) {
+        this.platform = ground.object;
+        this.platformMatrix.copy(ground.object.matrixWorld);
+      }
+      if (!wasGrounded) this.parent.emit('landed', fallSpeed);
+    } else {
+      // too steep, held on the surface but pushed downhill
+      this.isGrounded = false;
+      this.platform = null;
+      this.velocity.y = Math.min(0, this.velocity.y);
+      this.velocity.x += ground.normal.x * this.gravity * dt;
+      this.velocity.z += ground.normal.z * this.gravity * dt;
+    }
   }
-}
\ No newline at end of file
+
+  /* move and turn with the platform under us since the last step */
+  private followPlatform() {
+    const platform = this.platform;
+    if (!platform || !this.isGrounded) return;
+    platform.updateWorldMatrix(true, false);
+    _delta.copy(this.platformMatrix).invert().premultiply(platform.matrixWorld);
+    this.platformMatrix.copy(platform.matrixWorld);
+    const root = this.parent.props.object3D;
+    root.position.applyMatrix4(_delta);
+    // only the yaw, a tilting platform shouldn't tip the character over
+    _quat.setFromRotationMatrix(_delta);
+    _euler.setFromQuaternion(_quat);
+    root.rotation.y += _euler.y;
+  }
+
+  private cast(from: THREE.Vector3, dir: THREE.Vector3, length: number): IGroundHit | null {
+    const physics = this.parent.props.gameScene.third.physics;
+    if (!physics) return null;
+    this.ray ??= physics.add.raycaster('allHits');
+    const rc = this.ray;
+    rc.setRayFromWorld(from.x, from.y, from.z);
+    rc.setRayToWorld(from.x + dir.x * length, from.y + dir.y * length, from.z + dir.z * length);
+    rc.rayTest();
+    if (!rc.hasHit()) return null;
+    const points = rc.getHitPointsWorld();
+    const normals = rc.getHitNormalsWorld();
+    const objects = rc.getCollisionObjects();
+    const scene = this.parent.props.gameScene;
+    let best: IGroundHit | null = null;
+    for (let i = 0; i < objects.length; i++) {
+      const object = objects[i];
+      if (this.ignores(object, scene.getGameObject(object))) continue;
+      const point = new THREE.Vector3(points[i].x, points[i].y, points[i].z);
+      const distance = point.distanceTo(from);
+      if (best && distance >= best.distance) continue;
+      best = { point, normal: new THREE.Vector3(normals[i].x, normals[i].y, normals[i].z), distance, object };
+    }
+    return best;
+  }
+
+  /* our own capsule, anything attached to us, and triggers (no contact response) */
+  private ignores(object: any, owner: GameObject | undefined) {
+    if (object === this.parent.props.object3D) return true;
+    if (owner && (owner === this.parent || owner.isDescendantOf(this.parent))) return true;
+    return ((object.body?.getCollisionFlags?.() ?? 0) & 4) !== 0;
+  }
+}
+
+registerComponent('CompMovement', CompMovement);
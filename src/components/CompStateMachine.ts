@@ -0,0 +1,219 @@
+// State Machine Component, named states with enter/update/exit hooks, guarded transitions and sub-states
+import { GameObject, GameObjectComponent, ICompProps, registerComponent } from '../engine/GameObject';
+
+export type StateGuard = (machine: CompStateMachine, ...args: any[]) => boolean;
+
+export interface IStateTransition {
+  to: string;
+  guard?: StateGuard;   // transition is skipped unless this returns true
+}
+
+export interface IStateDef {
+  parent?: string;      // enclosing state, its hooks keep running while any child is active
+  initial?: string;     // child entered automatically when this state is entered
+  enter?: (machine: CompStateMachine, from: string | null) => void;
+  update?: (machine: CompStateMachine, dt: number) => void;
+  exit?: (machine: CompStateMachine, to: string) => void;
+  on?: Record<string, string | IStateTransition | IStateTransition[]>;  // event name -> transition(s)
+  transitions?: IStateTransition[];  // checked every frame after update, first passing guard wins
+}
+
+export interface ICompStateMachineProps extends ICompProps {
+  states: Record<string, IStateDef>;
+  initial: string;
+}
+
+/**
+ * Hierarchical state machine. Only the innermost state is "current", but every ancestor of it is active:
+ * updates run from the outermost state in, and events and transitions are looked up from the innermost state
+ * out, so a parent's `on: { died: 'dead' }` covers all of its children.
+ *
+ * Event names in `on` are also subscribed on the game object, so `gameObject.emit('alert')` and built-in
+ * events like `damaged` or `collisionEnter` trigger transitions; `trigger()` fires one directly. Every
+ * change emits `stateChanged(from, to)` on the game object.
+ *
+ * @example
+ * obj.addComponent(CompStateMachine, {
+ *   initial: 'idle',
+ *   states: {
+ *     alive: { initial: 'idle', on: { died: 'dead' } },
+ *     idle: { parent: 'alive', transitions: [{ to: 'chase', guard: m => seesPlayer(m.parent) }] },
+ *     chase: { parent: 'alive', update: (m, dt) => moveTowardsPlayer(m.parent, dt), on: { lostTarget: 'idle' } },
+ *     dead: { enter: m => m.parent.kill() }
+ *   }
+ * });
+ */
+export class CompStateMachine extends GameObjectComponent {
+  static serializable = ['initial'];
+  states: Record<string, IStateDef>;
+  path: string[] = [];          // active states, outermost first
+  timeInState = 0;              // seconds since the current state was entered
+  data: Record<string, any> = {};  // scratch space shared by the state hooks
+  private subscribed = new Map<string, (...args: any[]) => void>();
+  private restoreState: string | null = null;
+  private changing = false;     // inside transitionTo, hooks asking for another state wait in `queued`
+  private queued: string[] = [];
+  constructor(gameObject: GameObject, props: ICompStateMachineProps) {
+    super(gameObject, props);
+    this.name = 'CompStateMachine';
+    this.states = props.states ?? {};
+    for (const name in this.states) {
+      const parent = this.states[name].parent;
+      if (parent && !this.states[parent]) console.warn(`CompStateMachine: state '${name}' has unknown parent '${parent}'`);
+    }
+  }
+
+  compStart(): void {
+    // game object events named in any `on` table become triggers
+    for (const name in this.states) {
+      for (const event in this.states[name].on) this.subscribe(event);
+    }
+    this.enterInitial();
+  }
+
+  compReset(): void {
+    // pooled objects get the same exit cleanup as a state change
+    const initial = this.restoreState ?? (this.props as ICompStateMachineProps).initial;
+    for (let i = this.path.length - 1; i >= 0; i--) this.states[this.path[i]].exit?.(this, initial);
+    this.path = [];
+    this.queued = [];
+    this.data = {};
+    this.enterInitial();
+  }
+
+  compUpdate(dt: number): void {
+    if (!this.path.length) return;
+    this.timeInState += dt;
+    const path = this.path;
+    for (const name of path) {
+      this.states[name].update?.(this, dt);
+      // an update hook changed state, the old path is stale
+      if (this.path !== path) return;
+    }
+    for (let i = path.length - 1; i >= 0; i--) {
+      const transition = this.pick(this.states[path[i]].transitions);
+      if (transition) {
+        this.transitionTo(transition.to);
+        return;
+      }
+    }
+  }
+
+  compDestroy(): void {
+    this.subscribed.forEach((listener, event) => this.parent.off(event, listener, this));
+    this.subscribed.clear();
+  }
+
+  compGetState() {
+    return { state: this.state, data: this.data };
+  }
+
+  compSetState(state: { state?: string; data?: Record<string, any> }): void {
+    this.restoreState = state.state ?? null;
+    this.data = state.data ?? this.data;
+  }
+
+  // --- States ----------------------------------------------------------------
+
+  /* innermost active state */
+  get state(): string | null {
+    return this.path[this.path.length - 1] ?? null;
+  }
+
+  /* true if the state or one of its sub-states is active */
+  is(name: string) {
+    return this.path.includes(name);
+  }
+
+  /* fire an event, the innermost state with a passing transition for it wins, returns true if state changed */
+  trigger(event: string, ...args: any[]) {
+    for (let i = this.path.length - 1; i >= 0; i--) {
+      const transition = this.pick(this.states[this.path[i]].on?.[event], args);
+      if (transition) {
+        this.transitionTo(transition.to);
+        return true;
+      }
+    }
+    return false;
+  }
+
+  /* exit up to the common ancestor, then enter down to `name` and its initial sub-states. Called from an
+   * enter or exit hook, the change happens once the current one is complete */
+  transitionTo(name: string) {
+    if (!this.states[name]) {
+      console.warn(`CompStateMachine: unknown state '${name}'`);
+      return;
+    }
+    this.queued.push(name);
+    if (this.changing) return;
+    this.changing = true;
+    try {
+      while (this.queued.length) this.change(this.queued.shift()!);
+    } finally {
+      this.changing = false;
+      this.queued = [];
+    }
+  }
+
+  private change(name: string) {
+    const from = this.state;
+    const target = this.ancestry(name);
+    // shared prefix stays active, re-entering an active state exits and enters it again
+    let common = 0;
+    while (common < this.path.length && common < target.length - 1 && this.path[common] === target[common]) common++;
+    for (let i = this.path.length - 1; i >= common; i--) {
+      this.states[this.path[i]].exit?.(this, name);
+    }
+    const path = this.path.slice(0, common);
+    this.path = path;
+    for (let i = common; i < target.length; i++) this.enter(target[i], from);
+    let initial = this.states[name].initial;
+    while (initial && this.states[initial]) {
+      this.enter(initial, from);
+      initial = this.states[initial].initial;
+    }
+    this.timeInState = 0;
+    this.parent.emit('stateChanged', from, this.state);
+  }
+
+  private enter(name: string, from: string | null) {
+    // rebuild instead of push so compUpdate notices the change
+    this.path = [...this.path, name];
+    this.states[name].enter?.(this, from);
+  }
+
+  private enterInitial() {
+    const initial = this.restoreState ?? (this.props as ICompStateMachineProps).initial;
+    this.restoreState = null;
+    if (initial) this.transitionTo(initial);
+  }
+
+  /* the state and its parents, outermost first */
+  private ancestry(name: string) {
+    const chain: string[] = [];
+    for (let state: string | undefined = name; state && this.states[state]; state = this.states[state].parent) {
+      if (chain.includes(state)) break;
+      chain.unshift(state);
+    }
+    return chain;
+  }
+
+  private pick(transitions: string | IStateTransition | IStateTransition[] | undefined, args: any[] = []) {
+    if (!transitions) return null;
+    const list = typeof transitions === 'string' ? [{ to: transitions }] : Array.isArray(transitions) ? transitions : [transitions];
+    return list.find(t => !t.guard || t.guard(this, ...args)) ?? null;
+  }
+
+  private subscribe(event: string) {
+    if (this.subscribed.has(event)) return;
+    const listener = (...args: any[]) => this.onEvent(event, ...args);
+    this.subscribed.set(event, listener);
+    this.parent.on(event, listener, this);
+  }
+
+  private onEvent(event: string, ...args: any[]) {
+    if (this.parent.alive && this.parent.components.has(this)) this.trigger(event, ...args);
+  }
+}
+
+registerComponent('CompStateMachine', CompStateMachine);
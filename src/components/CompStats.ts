@@ -0,0 +1,133 @@
+// Stats component, base values plus stacked buffs/debuffs that other components read through GameObject.getStat
+import { GameObject, GameObjectComponent, ICompProps, STATS, registerComponent } from '../engine/GameObject';
+
+export interface IStatModifier {
+  stat: string;
+  add?: number;       // summed onto the base value
+  multiply?: number;  // applied after every add, multipliers stack multiplicatively
+  source?: any;       // who applied it, for removeModifiersFrom (a string survives save/load)
+  duration?: number;  // seconds until it expires, permanent when omitted
+}
+
+interface IActiveModifier extends IStatModifier {
+  remaining: number;  // seconds left, only counts down when there is a duration
+}
+
+export interface ICompStatsProps extends ICompProps {
+  base?: Record<string, number>;  // e.g. { moveSpeed: 5, maxHealth: 150, damage: 1 }
+}
+
+/**
+ * Final value = (base + sum of adds) * product of multipliers. Stats without a base value here fall back to
+ * whatever the caller passes to getStat (CompMovement passes its own speed), so a buff works even when the
+ * stat was never declared.
+ *
+ * @example
+ * stats.addModifier({ stat: STATS.MOVE_SPEED, multiply: 1.5, duration: 5, source: 'haste' });
+ * player.getStat(STATS.DAMAGE, 1);
+ */
+export class CompStats extends GameObjectComponent {
+  static serializable = ['base'];
+  base: Record<string, number>;
+  modifiers: IActiveModifier[] = [];
+  constructor(gameObject: GameObject, props: ICompStatsProps) {
+    super(gameObject, props);
+    this.name = 'CompStats';
+    this.base = { ...props.base };
+    props.base = this.base;
+  }
+
+  compStart(): void {
+    // max health is owned here from now on
+    this.base[STATS.MAX_HEALTH] ??= this.parent.props.maxHealth;
+    this.syncMaxHealth();
+  }
+
+  compReset(): void {
+    this.modifiers = [];
+    this.syncMaxHealth();
+    this.parent.props.health = this.parent.props.maxHealth;
+  }
+
+  compUpdate(dt: number): void {
+    if (!this.modifiers.some(mod => mod.duration !== undefined)) return;
+    // the timers' clock, so a 5 s buff and a 5 s timer end together in slow motion
+    const step = dt * this.parent.props.gameScene.time.timeScale;
+    for (const mod of this.modifiers) {
+      if (mod.duration !== undefined) mod.remaining -= step;
+    }
+    const before = this.modifiers.length;
+    this.modifiers = this.modifiers.filter(mod => mod.duration === undefined || mod.remaining > 0);
+    if (this.modifiers.length !== before) this.syncMaxHealth();
+  }
+
+  compGetStat(stat: string, value: number): number {
+    return this.get(stat, value);
+  }
+
+  compGetState() {
+    return { modifiers: this.modifiers.map(mod => ({ ...mod })) };
+  }
+
+  compSetState(state: { modifiers?: IActiveModifier[] }): void {
+    this.modifiers = state.modifiers?.map(mod => ({ ...mod })) ?? this.modifiers;
+  }
+
+  compSetProperties(props: ICompStatsProps): void {
+    if (props.base) Object.assign(this.base, props.base);
+    this.syncMaxHealth();
+  }
+
+  // --- Stats -----------------------------------------------------------------
+
+  /* final value of a stat, fallback is the base when none is set */
+  get(stat: string, fallback = 0) {
+    let add = 0;
+    let multiply = 1;
+    for (const mod of this.modifiers) {
+      if (mod.stat !== stat) continue;
+      add += mod.add ?? 0;
+      multiply *= mod.multiply ?? 1;
+    }
+    return ((this.base[stat] ?? fallback) + add) * multiply;
+  }
+
+  setBase(stat: string, value: number) {
+    this.base[stat] = value;
+    if (stat === STATS.MAX_HEALTH) this.syncMaxHealth();
+  }
+
+  /* returns the active modifier, pass it to removeModifier to end it early */
+  addModifier(modifier: IStatModifier) {
+    const active: IActiveModifier = { ...modifier, remaining: modifier.duration ?? 0 };
+    this.modifiers.push(active);
+    if (modifier.stat === STATS.MAX_HEALTH) this.syncMaxHealth();
+    return active;
+  }
+
+  removeModifier(modifier: IStatModifier) {
+    const index = this.modifiers.indexOf(modifier as IActiveModifier);
+    if (index === -1) return false;
+    this.modifiers.splice(index, 1);
+    if (modifier.stat === STATS.MAX_HEALTH) this.syncMaxHealth();
+    return true;
+  }
+
+  /* remove everything a source applied, returns how many were removed */
+  removeModifiersFrom(source: any) {
+    const before = this.modifiers.length;
+    this.modifiers = this.modifiers.filter(mod => mod.source !== source);
+    this.syncMaxHealth();
+    return before - this.modifiers.length;
+  }
+
+  /* push the max health stat onto the game object, health never exceeds it */
+  private syncMaxHealth() {
+    if (this.base[STATS.MAX_HEALTH] === undefined) return;
+    const props = this.parent.props;
+    props.maxHealth = this.get(STATS.MAX_HEALTH);
+    props.health = Math.min(props.health, props.maxHealth);
+  }
+}
+
+registerComponent('CompStats', CompStats);
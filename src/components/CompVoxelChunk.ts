@@ -1,6 +1,6 @@
 // This component creates an instanced mesh for rendering voxel chunks in a 3D scene using Three.js.
 import { THREE } from "@enable3d/phaser-extension";
-import { GameObject, GameObjectComponent, ICompProps } from '../engine/GameObject';
+import { GameObject, GameObjectComponent, ICompProps, registerComponent } from '../engine/GameObject';
 
 export interface ICompVoxelChunkProps extends ICompProps {
   chunkSize?: number; // Size of each chunk (default: 16)
@@ -10,6 +10,7 @@ export interface ICompVoxelChunkProps extends ICompProps {
 }
 
 export class CompVoxelChunk extends GameObjectComponent {  
+  static serializable = ['chunkSize', 'chunkCount', 'voxelSize'];
   instancedMesh: THREE.InstancedMesh;
   chunkSize: number;
   chunkCount: number;
@@ -161,3 +162,5 @@ export class CompVoxelChunk extends GameObjectComponent {
     super.compDestroy();
   } 
 }
+
+registerComponent('CompVoxelChunk', CompVoxelChunk);
@@ -1,6 +1,6 @@
 // A component for managing a voxel-based 3D world, using marching cubes from Three.js.
 import { THREE } from "@enable3d/phaser-extension";
-import { GameObject, GameObjectComponent, ICompProps } from '../engine/GameObject';
+import { GameObject, GameObjectComponent, ICompProps, registerComponent } from '../engine/GameObject';
 import { MarchingCubes } from 'three/addons/objects/MarchingCubes.js';
 import { ImprovedNoise } from 'three/addons/math/ImprovedNoise.js';
 
@@ -12,6 +12,7 @@ export interface ICompVoxelWorldProps extends ICompProps {
 }
 
 export class CompVoxelWorld extends GameObjectComponent {  
+  static serializable = ['size', 'resolution', 'isolation'];
   marchingCubes: MarchingCubes;
   resolution: number;
   isolation: number;
@@ -167,4 +168,6 @@ export class CompVoxelWorld extends GameObjectComponent {
       this.marchingCubes.material.dispose();
     }
   }
-}
\ No newline at end of file
+}
+
+registerComponent('CompVoxelWorld', CompVoxelWorld);
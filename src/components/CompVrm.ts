@@ -0,0 +1,153 @@
+// VRM Component, expression, blink, talk and lookAt helpers for objects made by createFromModelVrm
+import { THREE } from "@enable3d/phaser-extension";
+import { VRM } from '@pixiv/three-vrm';
+import { GameObject, GameObjectComponent, ICompProps, COMP_PRIORITY, registerComponent } from '../engine/GameObject';
+import { loadMixamoClip } from '../engine/VrmUtils';
+
+export const VISEMES = ['aa', 'ih', 'ou', 'ee', 'oh'] as const
+export type Viseme = typeof VISEMES[number]
+
+export interface ICompVrmProps extends ICompProps {
+  autoBlink?: boolean;                // blink at random intervals (default true)
+  blinkInterval?: [number, number];   // seconds between blinks, min/max (default [2, 6])
+  lookAt?: 'camera' | 'none';         // where the eyes point at start (default 'camera')
+}
+
+/**
+ * The VRM itself (spring bones, expressions, lookAt) is updated by GameScene every frame; this component only
+ * decides what the face does. Expression weights set here are applied on that update.
+ *
+ * @example
+ * const face = player.getComponent(CompVrm);
+ * face.setExpression('happy', 1);
+ * face.talk(2);
+ * face.lookAtTarget(npc);
+ */
+export class CompVrm extends GameObjectComponent {
+  static priority = COMP_PRIORITY.ANIMATION;
+  static serializable = ['autoBlink', 'blinkInterval', 'lookAt'];
+  vrm: VRM | undefined;
+  private blinkTimer = 0;
+  private blinkTime = 0;        // seconds left in the current blink
+  private talkTime = 0;         // seconds of talking left
+  private visemeTimer = 0;
+  private viseme: Viseme | null = null;
+  constructor(gameObject: GameObject, props: ICompVrmProps) {
+    super(gameObject, props);
+    this.name = 'CompVrm';
+  }
+
+  compStart(): void {
+    this.vrm = this.parent.props.vrm;
+    if (!this.vrm) {
+      console.warn(`CompVrm: ${this.parent.props.name} has no VRM, create it with createFromModelVrm`);
+      return;
+    }
+    this.scheduleBlink();
+    if ((this.props as ICompVrmProps).lookAt !== 'none') this.lookAtCamera();
+  }
+
+  compReset(): void {
+    this.resetExpressions();
+    this.talkTime = 0;
+    this.scheduleBlink();
+  }
+
+  compUpdate(dt: number): void {
+    if (!this.vrm?.expressionManager) return;
+    const p = this.props as ICompVrmProps;
+    if (p.autoBlink !== false) {
+      this.blinkTimer -= dt;
+      if (this.blinkTimer <= 0) {
+        this.blink();
+        this.scheduleBlink();
+      }
+    }
+    if (this.blinkTime > 0) {
+      this.blinkTime = Math.max(0, this.blinkTime - dt);
+      this.setExpression('blink', this.blinkTime > 0 ? 1 : 0);
+    }
+    if (this.talkTime > 0) {
+      this.talkTime -= dt;
+      this.visemeTimer -= dt;
+      if (this.talkTime <= 0) this.setViseme(null);
+      else if (this.visemeTimer <= 0) {
+        // new mouth shape a few times a second, sometimes closed between syllables
+        this.visemeTimer = THREE.MathUtils.randFloat(0.08, 0.16);
+        const next = Math.random() < 0.2 ? null : VISEMES[Math.floor(Math.random() * VISEMES.length)];
+        this.setViseme(next, THREE.MathUtils.randFloat(0.5, 1));
+      }
+    }
+  }
+
+  compDestroy(): void {
+    if (this.vrm?.lookAt) this.vrm.lookAt.target = null;
+  }
+
+  // --- Expressions -----------------------------------------------------------
+
+  setExpression(name: string, weight: number) {
+    this.vrm?.expressionManager?.setValue(name, THREE.MathUtils.clamp(weight, 0, 1));
+  }
+
+  getExpression(name: string) {
+    return this.vrm?.expressionManager?.getValue(name) ?? 0;
+  }
+
+  resetExpressions() {
+    this.vrm?.expressionManager?.resetValues();
+    this.viseme = null;
+    this.blinkTime = 0;
+  }
+
+  blink(duration = 0.12) {
+    this.blinkTime = duration;
+  }
+
+  /* open the mouth in one viseme shape, null closes it */
+  setViseme(viseme: Viseme | null, weight = 1) {
+    if (this.viseme && this.viseme !== viseme) this.setExpression(this.viseme, 0);
+    this.viseme = viseme;
+    if (viseme) this.setExpression(viseme, weight);
+  }
+
+  /* flap the mouth through random visemes, e.g. while a line of dialogue plays */
+  talk(seconds: number) {
+    this.talkTime = seconds;
+    this.visemeTimer = 0;
+  }
+
+  stopTalking() {
+    this.talkTime = 0;
+    this.setViseme(null);
+  }
+
+  // --- LookAt ----------------------------------------------------------------
+
+  lookAtCamera() {
+    this.lookAtTarget(this.parent.props.gameScene.third.camera);
+  }
+
+  /* follow a game object or any Object3D with the eyes, null looks straight ahead */
+  lookAtTarget(target: GameObject | THREE.Object3D | null) {
+    if (!this.vrm?.lookAt) return;
+    this.vrm.lookAt.target = target instanceof GameObject ? target.props.object3D : target;
+    this.vrm.lookAt.autoUpdate = target !== null;
+    if (!target) this.vrm.lookAt.reset();
+  }
+
+  // --- Animation -------------------------------------------------------------
+
+  /* load a Mixamo FBX and retarget it onto this VRM, pass the clip to CompAnimator's `clips` */
+  loadMixamo(url: string, name?: string) {
+    if (!this.vrm) return Promise.reject(new Error(`${this.parent.props.name} has no VRM`));
+    return loadMixamoClip(this.vrm, url, name);
+  }
+
+  private scheduleBlink() {
+    const [min, max] = (this.props as ICompVrmProps).blinkInterval ?? [2, 6];
+    this.blinkTimer = THREE.MathUtils.randFloat(min, max);
+  }
+}
+
+registerComponent('CompVrm', CompVrm);
@@ -1,6 +1,6 @@
 import { THREE } from "@enable3d/phaser-extension";
 import { GPUComputationRenderer } from 'three/examples/jsm/misc/GPUComputationRenderer.js'
-import { GameObject, GameObjectComponent, ICompProps, ICompPropsMesh } from '../engine/GameObject';
+import { GameObject, GameObjectComponent, ICompProps, ICompPropsMesh, registerComponent } from '../engine/GameObject';
 
 const MIN_OMEGA = 0.5; // rad/s (~12.6s period); tune to taste
 
@@ -198,6 +198,11 @@ export interface ICompWaterPBRProps extends ICompPropsMesh {
 }
 
 export class CompWaterPBR extends GameObjectComponent {
+  static serializable = [
+    'position', 'sizeX', 'sizeY', 'simW', 'simH', 'rotationX', 'displacementScale', 'mouseSize', 'viscosity',
+    'color', 'roughness', 'metalness', 'foamTint', 'foamGlow', 'foamThreshold', 'foamSharpness', 'foamIntensity',
+    'splashAtMouseDemo', 'waveAtMouseDemo'
+  ];
   props: ICompWaterPBRProps;
   gpu: GPUComputationRenderer;
   heightmapVariable: any;
@@ -634,13 +639,50 @@ export class CompWaterPBR extends GameObjectComponent {
     }
   }
 
+  compGetState() {
+    // radial waves only live in the uniforms, collect the active slots
+    const u = this.varHeight.material.uniforms
+    const radialWaves = []
+    for (let i = 0; i < this._MAX_RW; i++) {
+      if (!u.rw_amp.value[i]) continue
+      radialWaves.push({
+        center: u.rw_center.value[i].clone(),
+        k: u.rw_k.value[i],
+        omega: u.rw_omega.value[i],
+        amp: u.rw_amp.value[i],
+        decay: u.rw_decay.value[i],
+        phase: u.rw_phase.value[i],
+      })
+    }
+    return { simTime: this.simTime, planeWaves: this._planeWaves, radialWaves }
+  }
+
+  compSetState(state: { simTime?: number, planeWaves?: any[], radialWaves?: any[] }): void {
+    const u = this.varHeight.material.uniforms
+    this.simTime = state.simTime ?? 0
+    u.simTime.value = this.simTime
+    this._planeWaves = (state.planeWaves ?? []).slice(0, this._MAX_PW)
+    this._addPWToUniforms()
+    const radialWaves = (state.radialWaves ?? []).slice(0, this._MAX_RW)
+    radialWaves.forEach((w, i) => {
+      u.rw_center.value[i].copy(w.center)
+      u.rw_k.value[i]      = w.k
+      u.rw_omega.value[i]  = w.omega
+      u.rw_amp.value[i]    = w.amp
+      u.rw_decay.value[i]  = w.decay
+      u.rw_phase.value[i]  = w.phase
+    })
+    this._rwWrite = radialWaves.length
+  }
+
   compStart(): void {
     const scene = this.parent.props.gameScene.third.scene
     scene.add(this.props.mesh!)
     scene.add(this.hitPlane)
   }
 
-  compUpdate(dt: number): void {
+  // one sim pass per fixed step: the viscosity smoothing isn't scaled by delta, so a per-frame pass depends on frame rate
+  compFixedUpdate(dt: number): void {
     // Pointer raycast → local splash, change as you like
     // if (this.props.splashAtMouseDemo) this.splashAtMouse(5.0)
 
@@ -686,14 +728,4 @@ export class CompWaterPBR extends GameObjectComponent {
   }
 }
 
-
-
-
-
-
-
-
-
-
-
-
+registerComponent('CompWaterPBR', CompWaterPBR);
@@ -1,6 +1,6 @@
 // Weather component for managing weather effects in the game
 import { THREE } from "@enable3d/phaser-extension";
-import { GameObject, GameObjectComponent, ICompProps } from '../engine/GameObject';
+import { GameObject, GameObjectComponent, ICompProps, registerComponent } from '../engine/GameObject';
 import { Sky } from 'three/addons/objects/Sky.js';
 
 // helpers
@@ -84,6 +84,7 @@ export interface ICompWeatherProps extends ICompProps {
 }
 
 export class CompWeather extends GameObjectComponent {
+  static serializable = ['dayLength', 'nightLength', 'weatherType', 'startTime', 'active'];
   sky: Sky;
   sun: THREE.Vector3;
   time: number;
@@ -270,7 +271,7 @@ export class CompWeather extends GameObjectComponent {
     const envMap = this.pmrem.fromScene(this._envSky).texture;
     this.parent.props.gameScene.third.scene.environment = envMap;
 
-    this.parent.props.gameScene.events.emit('sun-changed', this.sun.clone());
+    this.parent.props.gameScene.broadcast('sun-changed', this.sun.clone());
   }
 
   compStart(): void {
@@ -288,6 +289,14 @@ export class CompWeather extends GameObjectComponent {
     this.pmrem.dispose();
   }
 
+  compGetState() {
+    return { time: this.time };
+  }
+
+  compSetState(state: { time?: number }): void {
+    this.time = state.time ?? this.time;
+  }
+
   compSetProperties(props: ICompWeatherProps): void {
       const p = this.props as ICompWeatherProps;
       p.dayLength = props.dayLength ?? p.dayLength;
@@ -297,3 +306,5 @@ export class CompWeather extends GameObjectComponent {
       p.weatherType = props.weatherType ?? p.weatherType;
   } 
 }
+
+registerComponent('CompWeather', CompWeather);
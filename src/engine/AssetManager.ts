@@ -0,0 +1,284 @@
+// Manifest driven asset loading: per-scene bundles, reference counted, shared by every scene of the game
+import { THREE } from "@enable3d/phaser-extension";
+import { GLTF, GLTFLoader } from 'three/addons/loaders/GLTFLoader.js';
+import { LUTCubeLoader } from 'three/addons/loaders/LUTCubeLoader.js';
+import { VRMLoaderPlugin } from '@pixiv/three-vrm';
+import { loadTrack, unloadTrack } from './AudioManager';
+import { EventEmitter } from './Events';
+
+export type AssetType = 'texture' | 'image' | 'model' | 'audio' | 'lut' | 'json';
+
+export interface IAudioAsset {
+  src: string | string[];
+  volume?: number;
+  loop?: boolean;
+}
+
+// key -> url relative to baseUrl, keys are what the rest of the game asks for
+export interface IAssetBundle {
+  textures?: Record<string, string>;                // THREE.Texture, for materials
+  images?: Record<string, string>;                  // Phaser textures, for Widgets and 2D sprites
+  models?: Record<string, string>;                  // .glb or .vrm, keyed by the model name prefabs use
+  audio?: Record<string, string | IAudioAsset>;     // AudioManager tracks, played with playSound / playTrackAt
+  luts?: Record<string, string>;                    // .cube files for fx.useLUT
+  json?: Record<string, string>;                    // levels, prefab sets, anything JSON
+}
+
+export interface IAssetManifest {
+  baseUrl?: string;
+  bundles: Record<string, IAssetBundle>;
+}
+
+interface IAssetEntry {
+  type: AssetType;
+  key: string;
+  url: string | string[];
+  options?: IAudioAsset;
+  refs: number;
+  value?: any;
+  promise?: Promise<any>;
+  unloadTimer?: ReturnType<typeof setTimeout>;
+}
+
+export type AssetEvents = {
+  progress: (progress: number, bundles: string[]) => void;
+  loaded: (type: AssetType, key: string) => void;
+  unloaded: (type: AssetType, key: string) => void;
+}
+
+const BUNDLE_FIELDS: Record<keyof IAssetBundle, AssetType> = {
+  textures: 'texture',
+  images: 'image',
+  models: 'model',
+  audio: 'audio',
+  luts: 'lut',
+  json: 'json',
+}
+
+/**
+ * Every asset in a bundle is counted once per owner (usually a scene key) that acquired the bundle, and is
+ * unloaded when the last owner releases it. The unload waits `unloadDelay` ms so switching between two scenes
+ * that share a bundle doesn't throw the assets away in between.
+ *
+ * Assets nobody declared are still loaded on demand by get/load (with a warning), they are never unloaded.
+ *
+ * @example
+ * assets.addManifest({ bundles: { forest: { models: { tree: 'models/tree.glb' }, json: { level1: 'levels/forest.json' } } } });
+ * await assets.acquire(['forest'], 'ForestScene', p => console.log(p));
+ * scene.loadLevel(assets.get('json', 'level1'));
+ */
+export class AssetManager extends EventEmitter<AssetEvents> {
+  baseUrl: string = (import.meta as any).env?.BASE_URL || './';
+  unloadDelay = 1000;
+  game: Phaser.Game | null = null;   // Phaser's texture manager holds the 'image' assets
+  // VRMLoaderPlugin only acts on files with VRM extensions, plain .glb files load as before
+  gltfLoader = new GLTFLoader().register(parser => new VRMLoaderPlugin(parser));
+  fileLoader = new THREE.FileLoader().setResponseType('arraybuffer');
+  private textureLoader = new THREE.TextureLoader();
+  private imageLoader = new THREE.ImageLoader();
+  private lutLoader = new LUTCubeLoader();
+  private jsonLoader = new THREE.FileLoader().setResponseType('json');
+  private entries = new Map<string, IAssetEntry>();     // 'type:key' -> entry
+  private bundles = new Map<string, string[]>();        // bundle -> entry ids
+  private owners = new Map<string, Set<string>>();      // owner -> bundles it holds
+
+  addManifest(manifest: IAssetManifest) {
+    const base = manifest.baseUrl ?? this.baseUrl;
+    for (const name in manifest.bundles) {
+      const bundle = manifest.bundles[name];
+      const ids = this.bundles.get(name) ?? [];
+      for (const field in BUNDLE_FIELDS) {
+        const type = BUNDLE_FIELDS[field as keyof IAssetBundle];
+        const assets: Record<string, string | IAudioAsset> = bundle[field as keyof IAssetBundle] ?? {};
+        for (const key in assets) {
+          const asset = assets[key];
+          const options = typeof asset === 'string' ? undefined : asset;
+          const src = typeof asset === 'string' ? asset : asset.src;
+          const url = Array.isArray(src) ? src.map(s => this.resolve(base, s)) : this.resolve(base, src);
+          const id = `${type}:${key}`;
+          const existing = this.entries.get(id);
+          if (existing && String(existing.url) !== String(url)) console.warn(`AssetManager: ${id} is declared with two urls, keeping ${existing.url}`);
+          if (!existing) this.entries.set(id, { type, key, url, options, refs: 0 });
+          if (!ids.includes(id)) ids.push(id);
+        }
+      }
+      this.bundles.set(name, ids);
+    }
+  }
+
+  /* load bundles for an owner, resolves when all of them are in. Progress is 0..1 over the assets still to load */
+  async acquire(bundles: string[], owner: string, onProgress?: (progress: number) => void) {
+    const held = this.owners.get(owner) ?? new Set<string>();
+    this.owners.set(owner, held);
+    const pending: Promise<any>[] = [];
+    for (const bundle of bundles) {
+      const ids = this.bundles.get(bundle);
+      if (!ids) {
+        console.warn(`AssetManager: unknown bundle '${bundle}'`);
+        continue;
+      }
+      if (held.has(bundle)) continue;
+      held.add(bundle);
+      for (const id of ids) {
+        const entry = this.entries.get(id)!;
+        entry.refs++;
+        clearTimeout(entry.unloadTimer);
+        entry.unloadTimer = undefined;
+        if (entry.value === undefined) pending.push(this.loadEntry(entry));
+      }
+    }
+    let done = 0;
+    const report = () => {
+      const progress = pending.length ? done / pending.length : 1;
+      onProgress?.(progress);
+      this.emit('progress', progress, bundles);
+    };
+    report();
+    const results = await Promise.allSettled(pending.map(p => p.finally(() => {
+      done++;
+      report();
+    })));
+    const failed = results.filter(r => r.status === 'rejected') as PromiseRejectedResult[];
+    failed.forEach(r => console.warn(`AssetManager: ${r.reason?.message ?? r.reason}`));
+  }
+
+  /* drop an owner's hold on its bundles, assets nobody else holds are unloaded after unloadDelay */
+  release(owner: string, bundles?: string[]) {
+    const held = this.owners.get(owner);
+    if (!held) return;
+    for (const bundle of bundles ?? [...held]) {
+      if (!held.delete(bundle)) continue;
+      for (const id of this.bundles.get(bundle) ?? []) {
+        const entry = this.entries.get(id)!;
+        entry.refs = Math.max(0, entry.refs - 1);
+        if (entry.refs === 0 && !entry.unloadTimer) {
+          entry.unloadTimer = setTimeout(() => {
+            entry.unloadTimer = undefined;
+            if (entry.refs === 0) this.unloadEntry(entry);
+          }, this.unloadDelay);
+        }
+      }
+    }
+    if (!held.size) this.owners.delete(owner);
+  }
+
+  isLoaded(type: AssetType, key: string) {
+    return this.entries.get(`${type}:${key}`)?.value !== undefined;
+  }
+
+  /* a loaded asset, or undefined (and a background load) if it isn't in memory yet */
+  get(type: 'texture', key: string): THREE.Texture | undefined;
+  get(type: 'model', key: string): GLTF | ArrayBuffer | undefined;
+  get(type: 'audio', key: string): any;   // a Howl
+  get(type: 'lut', key: string): THREE.Data3DTexture | undefined;
+  get(type: AssetType, key: string): any;
+  get(type: AssetType, key: string) {
+    const entry = this.entries.get(`${type}:${key}`);
+    if (entry?.value !== undefined) return type === 'lut' ? entry.value.texture3D : entry.value;
+    this.load(type, key).catch(error => console.warn(error.message));
+    return undefined;
+  }
+
+  /* resolve an asset, loading it first if needed. `url` is used for assets missing from the manifest */
+  load(type: AssetType, key: string, url?: string): Promise<any> {
+    const id = `${type}:${key}`;
+    let entry = this.entries.get(id);
+    if (!entry) {
+      if (!url) return Promise.reject(new Error(`AssetManager: no ${type} '${key}' in the manifest`));
+      console.warn(`AssetManager: ${id} loaded on demand, add it to a bundle to preload it`);
+      entry = { type, key, url: this.resolve(this.baseUrl, url), refs: 0 };
+      this.entries.set(id, entry);
+    }
+    const result = entry.value !== undefined ? Promise.resolve(entry.value) : this.loadEntry(entry);
+    return type === 'lut' ? result.then(lut => lut.texture3D) : result;
+  }
+
+  // --- Loading ---------------------------------------------------------------
+
+  private loadEntry(entry: IAssetEntry) {
+    if (!entry.promise) {
+      entry.promise = this.loadValue(entry).then(value => {
+        entry.value = value;
+        this.emit('loaded', entry.type, entry.key);
+        return value;
+      }).catch((error: any) => {
+        entry.promise = undefined;
+        throw new Error(`Failed to load ${entry.type} '${entry.key}': ${error?.message ?? error}`);
+      });
+    }
+    return entry.promise;
+  }
+
+  private loadValue(entry: IAssetEntry): Promise<any> {
+    const url = entry.url as string;
+    switch (entry.type) {
+      case 'texture':
+        return this.textureLoader.loadAsync(url).then(texture => {
+          texture.colorSpace = THREE.SRGBColorSpace;
+          return texture;
+        });
+      case 'image':
+        return this.imageLoader.loadAsync(url).then(image => {
+          if (!this.game) throw new Error('no game to add the image to, load it from a GameScene');
+          if (!this.game.textures.exists(entry.key)) this.game.textures.addImage(entry.key, image);
+          return image;
+        });
+      // .vrm files are kept as bytes, every instance parses its own VRM
+      case 'model':
+        return url.endsWith('.vrm') ? this.fileLoader.loadAsync(url) : this.gltfLoader.loadAsync(url);
+      case 'audio':
+        return loadTrack(entry.key, entry.url, entry.options);
+      case 'lut':
+        return this.lutLoader.loadAsync(url);
+      case 'json':
+        return this.jsonLoader.loadAsync(url);
+    }
+  }
+
+  private unloadEntry(entry: IAssetEntry) {
+    const value = entry.value;
+    if (value === undefined) return;
+    entry.value = undefined;
+    entry.promise = undefined;
+    switch (entry.type) {
+      case 'texture':
+        value.dispose();
+        break;
+      case 'image':
+        if (this.game?.textures.exists(entry.key)) this.game.textures.remove(entry.key);
+        break;
+      case 'model':
+        if (value.scene) disposeObject(value.scene);
+        break;
+      case 'audio':
+        unloadTrack(entry.key);
+        break;
+      case 'lut':
+        value.texture3D?.dispose();
+        break;
+    }
+    this.emit('unloaded', entry.type, entry.key);
+  }
+
+  private resolve(base: string, url: string) {
+    if (/^([a-z]+:|\/|\.\/|\.\.\/)/i.test(url)) return url;
+    return base.endsWith('/') ? base + url : `${base}/${url}`;
+  }
+}
+
+/* free geometries, materials and their textures under an object */
+export function disposeObject(object: THREE.Object3D) {
+  object.traverse((node: any) => {
+    node.geometry?.dispose();
+    const materials = Array.isArray(node.material) ? node.material : node.material ? [node.material] : [];
+    for (const material of materials) {
+      for (const key in material) {
+        if (material[key]?.isTexture) material[key].dispose();
+      }
+      material.dispose();
+    }
+  });
+}
+
+// one manager for the whole game, scenes come and go around it
+export const assets = new AssetManager();
@@ -9,9 +9,6 @@ import * as THREE from 'three'
  * master volume and mute state. Also ensures audio unlocks on first user gesture.
  */
 
-const base = import.meta.env.BASE_URL || './'
-const A = (file) => `${base}audio/${file}`
-
 // --- Listener ----------------------------------------------------------------
 
 let _tmpPos = new THREE.Vector3()
@@ -20,8 +17,8 @@ let _tmpUp  = new THREE.Vector3(0, 1, 0)
 
 export function unlockOnFirstGesture(dom = window) {
   const once = () => {
-    // Howler auto-unlocks, but nudge it by starting/stopping a silent play if needed
-    tracks.gesture.play(); tracks.gesture.pause();
+    // Howler auto-unlocks, but nudge the context in case the first gesture went elsewhere
+    if (Howler.ctx?.state === 'suspended') Howler.ctx.resume()
     dom.removeEventListener('pointerdown', once)
     dom.removeEventListener('keydown', once)
   }
@@ -44,18 +41,33 @@ export function updateListener(camera) {
 
 // --- Music & SFX handles ----------------------------------------------------
 
-export const tracks = {
-  gesture: new Howl({
-    src: [A('song1.wav')],
-    loop: true,
-    volume: 0.35
-  }),
-  boom: new Howl({
-    src: [A('pop.ogg')],
-    volume: 0.9
+// filled by the AssetManager as audio bundles load, nothing is fetched at import
+export const tracks = {}
+
+/* create a track and resolve once it can play, `src` is a url or a list of fallbacks */
+export function loadTrack(name, src, { volume = 1, loop = false } = {}) {
+  return new Promise((resolve, reject) => {
+    const howl = new Howl({
+      src: Array.isArray(src) ? src : [src],
+      volume,
+      loop,
+      onload: () => {
+        tracks[name] = howl
+        resolve(howl)
+      },
+      onloaderror: (_id, error) => {
+        howl.unload()
+        reject(new Error(String(error)))
+      }
+    })
   })
 }
 
+export function unloadTrack(name) {
+  tracks[name]?.unload()
+  delete tracks[name]
+}
+
 export function setMasterVolume(v) { 
   Howler.volume(v) 
 }
@@ -68,6 +80,8 @@ export function playTrackAt(trackName, object3D) {
   const track = tracks[trackName]
   if (!track) return
 
+  // position the sound id we just started, not the whole Howl
+  const id = track.play()
   if (track.pos) {
     const p = object3D.getWorldPosition(new THREE.Vector3())
     track.pos(p.x, p.y, p.z, id)
@@ -82,7 +96,7 @@ export function playTrackAt(trackName, object3D) {
     const pan = Math.max(-1, Math.min(1, x / 20))
     track.stereo?.(pan, id)
   }
-  return track.play()
+  return id
 }
 
 export function playTrackAtPosition(trackName, position) {
@@ -0,0 +1,246 @@
+// Camera effects: trauma shake, FOV punches, roll and spline rails, layered over whatever placed the camera
+import { THREE } from "@enable3d/phaser-extension";
+import { ImprovedNoise } from 'three/addons/math/ImprovedNoise.js';
+import type { GameScene } from './GameScene';
+
+type Vec3 = { x: number; y: number; z: number };
+
+export interface IShakeOptions {
+  maxAngle?: number;      // degrees of yaw and pitch at full trauma (default 3)
+  maxRoll?: number;       // degrees (default 4)
+  maxOffset?: number;     // metres (default 0.15)
+  frequency?: number;     // noise speed, Hz (default 18)
+  decay?: number;         // trauma lost per second (default 1)
+}
+
+export interface IRailOptions {
+  duration?: number;                        // seconds end to end (default 5)
+  lookAt?: Vec3[] | Vec3 | THREE.Object3D;  // a spline of targets, a point or an object; along the rail if left out
+  ease?: (t: number) => number;             // 0..1 -> 0..1 progress (default smoothstep)
+  blendIn?: number;                         // seconds from the gameplay camera onto the rail (default 0)
+  blendOut?: number;                        // seconds back to the gameplay camera at the end (default 1)
+  loop?: boolean;                           // until stopRail
+  fov?: number;                             // while on the rail
+  closed?: boolean;
+}
+
+interface IRail {
+  path: THREE.CatmullRomCurve3;
+  look: THREE.CatmullRomCurve3 | THREE.Object3D | THREE.Vector3 | null;
+  options: IRailOptions;
+  time: number;
+  stopping: number;      // seconds into the blend out, -1 while running
+  resolve: () => void;
+}
+
+interface IFovKick {
+  amount: number;
+  duration: number;
+  time: number;
+}
+
+const _pos = new THREE.Vector3();
+const _target = new THREE.Vector3();
+const _quat = new THREE.Quaternion();
+const _euler = new THREE.Euler(0, 0, 0, 'YXZ');
+const _matrix = new THREE.Matrix4();
+const _up = new THREE.Vector3(0, 1, 0);
+const smoothstep = (t: number) => t * t * (3 - 2 * t);
+
+/**
+ * Runs after the late update phase: the pose CompCamera (or anything else) left on the camera is kept as the base,
+ * effects are added on top for rendering and taken off again before the next frame, so camera controllers never
+ * see them. A rail replaces the base while it plays and blends back to it when done.
+ *
+ * @example
+ * this.cameraEffects.addTrauma(0.6);                               // hit
+ * this.cameraEffects.shakeAt(explosion.position, 1, 20);          // falls off with distance
+ * this.cameraEffects.punchFov(8, 0.3);
+ * await this.cameraEffects.playRail([{ x: 0, y: 20, z: 40 }, { x: 10, y: 5, z: 10 }], { lookAt: player.props.object3D, duration: 6 });
+ */
+export class CameraEffects {
+  scene: GameScene;
+  trauma = 0;                   // 0..1, shake grows with its square
+  shake: Required<IShakeOptions> = { maxAngle: 3, maxRoll: 4, maxOffset: 0.15, frequency: 18, decay: 1 };
+  roll = 0;                     // degrees, eased toward rollTarget
+  private rollTarget = 0;
+  private rollSharpness = 8;
+  private kicks: IFovKick[] = [];
+  private rail: IRail | null = null;
+  private noise = new ImprovedNoise();
+  private time = 0;
+  private applied = false;
+  private basePosition = new THREE.Vector3();
+  private baseQuaternion = new THREE.Quaternion();
+  private baseFov = 0;
+  private appliedPosition = new THREE.Vector3();
+  private appliedQuaternion = new THREE.Quaternion();
+  private appliedFov = 0;
+  constructor(scene: GameScene) {
+    this.scene = scene;
+  }
+
+  get camera() {
+    return this.scene.third.camera;
+  }
+
+  /* true while a rail drives the camera, controllers can skip player input */
+  get onRail() {
+    return this.rail !== null;
+  }
+
+  // --- Effects ---------------------------------------------------------------
+
+  addTrauma(amount: number) {
+    this.trauma = THREE.MathUtils.clamp(this.trauma + amount, 0, 1);
+  }
+
+  /* trauma for something at a world position, full at the camera and none past `radius` */
+  shakeAt(position: Vec3, amount: number, radius: number) {
+    const distance = this.basePosition.distanceTo(_pos.set(position.x, position.y, position.z));
+    this.addTrauma(amount * Math.max(0, 1 - distance / radius));
+  }
+
+  setShake(options: IShakeOptions) {
+    Object.assign(this.shake, options);
+  }
+
+  /* widen the view by `amount` degrees at once, easing back over `duration` seconds (negative narrows) */
+  punchFov(amount: number, duration = 0.3) {
+    this.kicks.push({ amount, duration: Math.max(0.01, duration), time: 0 });
+  }
+
+  /* lean the camera, e.g. while strafing or on a wall run; 0 levels it again */
+  setRoll(degrees: number, sharpness = 8) {
+    this.rollTarget = degrees;
+    this.rollSharpness = sharpness;
+  }
+
+  // --- Rails -----------------------------------------------------------------
+
+  /* move the camera along a Catmull-Rom spline, resolves once it has blended back to gameplay */
+  playRail(points: Vec3[], options: IRailOptions = {}): Promise<void> {
+    if (points.length < 2) {
+      console.warn('CameraEffects: a rail needs at least two points');
+      return Promise.resolve();
+    }
+    this.rail?.resolve();
+    const toVector = (p: Vec3) => new THREE.Vector3(p.x, p.y, p.z);
+    const lookAt = options.lookAt;
+    let look: IRail['look'] = null;
+    if (Array.isArray(lookAt)) look = lookAt.length > 1 ? new THREE.CatmullRomCurve3(lookAt.map(toVector)) : lookAt[0] ? toVector(lookAt[0]) : null;
+    else if (lookAt instanceof THREE.Object3D) look = lookAt;
+    else if (lookAt) look = toVector(lookAt);
+    return new Promise(resolve => {
+      this.rail = {
+        path: new THREE.CatmullRomCurve3(points.map(toVector), options.closed ?? false),
+        look,
+        options,
+        time: 0,
+        stopping: -1,
+        resolve,
+      };
+    });
+  }
+
+  /* leave the rail where it is and blend back to gameplay */
+  stopRail(blendOut?: number) {
+    const rail = this.rail;
+    if (!rail || rail.stopping >= 0) return;
+    if (blendOut !== undefined) rail.options = { ...rail.options, blendOut };
+    rail.stopping = 0;
+  }
+
+  // --- Frame -----------------------------------------------------------------
+
+  /* put back the pose effects were added to, GameScene calls this before any component runs. Whatever was
+   * changed since (a tween, a cut) is left alone */
+  restore() {
+    if (!this.applied) return;
+    this.applied = false;
+    const cam = this.camera;
+    if (cam.position.equals(this.appliedPosition)) cam.position.copy(this.basePosition);
+    if (cam.quaternion.equals(this.appliedQuaternion)) cam.quaternion.copy(this.baseQuaternion);
+    if (cam instanceof THREE.PerspectiveCamera && cam.fov === this.appliedFov && cam.fov !== this.baseFov) {
+      cam.fov = this.baseFov;
+      cam.updateProjectionMatrix();
+    }
+  }
+
+  /* layer everything on the pose the camera ended the frame with, GameScene calls this after compLateUpdate */
+  update(dt: number) {
+    const cam = this.camera;
+    this.time += dt;
+    this.basePosition.copy(cam.position);
+    this.baseQuaternion.copy(cam.quaternion);
+    const perspective = cam instanceof THREE.PerspectiveCamera ? cam : null;
+    this.baseFov = perspective?.fov ?? 0;
+    let fov = this.baseFov;
+
+    if (this.rail) fov = this.updateRail(dt, fov);
+
+    this.trauma = Math.max(0, this.trauma - this.shake.decay * dt);
+    this.roll += (this.rollTarget - this.roll) * (1 - Math.exp(-this.rollSharpness * dt));
+    const shake = this.trauma * this.trauma;
+    if (shake > 0 || Math.abs(this.roll) > 0.001) {
+      const t = this.time * this.shake.frequency;
+      const deg = THREE.MathUtils.DEG2RAD;
+      // each axis reads its own line through the noise so they never move together
+      _euler.set(
+        this.noise.noise(t, 0, 0) * this.shake.maxAngle * deg * shake,
+        this.noise.noise(0, t, 0) * this.shake.maxAngle * deg * shake,
+        (this.noise.noise(0, 0, t) * this.shake.maxRoll * shake + this.roll) * deg
+      );
+      cam.quaternion.multiply(_quat.setFromEuler(_euler));
+      _pos.set(this.noise.noise(t, 7.1, 0), this.noise.noise(0, t, 13.7), 0).multiplyScalar(this.shake.maxOffset * shake);
+      cam.position.add(_pos.applyQuaternion(cam.quaternion));
+    }
+
+    for (const kick of this.kicks) {
+      kick.time += dt;
+      const left = Math.max(0, 1 - kick.time / kick.duration);
+      fov += kick.amount * left * left;
+    }
+    this.kicks = this.kicks.filter(kick => kick.time < kick.duration);
+    if (perspective && fov !== perspective.fov) {
+      perspective.fov = fov;
+      perspective.updateProjectionMatrix();
+    }
+    this.appliedPosition.copy(cam.position);
+    this.appliedQuaternion.copy(cam.quaternion);
+    this.appliedFov = fov;
+    this.applied = true;
+  }
+
+  /* rail pose blended with the base pose on the camera, returns the fov to use */
+  private updateRail(dt: number, baseFov: number) {
+    const rail = this.rail!;
+    const cam = this.camera;
+    const { duration = 5, ease = smoothstep, blendIn = 0, blendOut = 1, loop = false } = rail.options;
+    rail.time += dt;
+    if (rail.stopping < 0 && !loop && rail.time >= duration) rail.stopping = 0;
+    else if (rail.stopping >= 0) rail.stopping += dt;
+
+    const progress = loop ? (rail.time / duration) % 1 : Math.min(1, rail.time / duration);
+    const u = ease(progress);
+    rail.path.getPointAt(u, _pos);
+    if (rail.look instanceof THREE.CatmullRomCurve3) rail.look.getPointAt(u, _target);
+    else if (rail.look instanceof THREE.Object3D) rail.look.getWorldPosition(_target);
+    else if (rail.look) _target.copy(rail.look);
+    else _target.copy(_pos).add(rail.path.getTangentAt(Math.min(u, 0.999)));
+    _matrix.lookAt(_pos, _target, _up);
+    _quat.setFromRotationMatrix(_matrix);
+
+    let weight = blendIn > 0 ? Math.min(1, rail.time / blendIn) : 1;
+    if (rail.stopping >= 0) weight = Math.min(weight, blendOut > 0 ? 1 - rail.stopping / blendOut : 0);
+    weight = smoothstep(Math.max(0, weight));
+    cam.position.lerp(_pos, weight);
+    cam.quaternion.slerp(_quat, weight);
+
+    if (rail.stopping >= 0 && weight <= 0) {
+      this.rail = null;
+      rail.resolve();
+    }
+    return rail.options.fov !== undefined ? THREE.MathUtils.lerp(baseFov, rail.options.fov, weight) : baseFov;
+  }
+}
@@ -0,0 +1,388 @@
+// Collider builder: primitive fits, convex hulls, convex decomposition and triangle meshes from a model's geometry
+import { Scene3D, THREE } from "@enable3d/phaser-extension";
+import * as Types from '@enable3d/common/dist/types.js';
+import { ConvexHull } from 'three/addons/math/ConvexHull.js';
+
+// set globally by enable3d once the physics wasm has loaded
+declare const Ammo: any;
+
+type Physics = Scene3D['third']['physics'];
+
+export type ColliderType = 'auto' | 'box' | 'sphere' | 'capsule' | 'hull' | 'compound' | 'mesh';
+
+export interface IColliderOptions {
+  maxParts?: number;        // compound: upper bound on convex pieces (default 16)
+  concavity?: number;       // compound: split a piece while that removes at least this share of its hull volume (default 0.1)
+  debug?: boolean;          // draw this collider even when GameScene.showColliders is off
+}
+
+export interface IPhysicsConfig extends Types.AddExistingConfig {
+  collider?: ColliderType;  // fit a shape to the object's meshes instead of enable3d's shape detection
+  colliderOptions?: IColliderOptions;
+}
+
+export interface IPrimitiveFit {
+  shape: 'box' | 'sphere' | 'capsule';
+  center: THREE.Vector3;
+  size: THREE.Vector3;            // box extents
+  radius: number;                 // sphere and capsule
+  height: number;                 // capsule straight section, hemispheres not included
+  axis: 'x' | 'y' | 'z';          // capsule
+  volume: number;
+}
+
+interface ICollider {
+  type: ColliderType;
+  fit?: IPrimitiveFit;
+  hulls?: THREE.Vector3[][];      // hull and compound pieces
+  triangles?: Float32Array;       // mesh
+  debug?: THREE.Object3D;
+}
+
+const AXES = ['x', 'y', 'z'] as const;
+const colliders = new WeakMap<THREE.Object3D, ICollider>();
+const debugMaterial = new THREE.LineBasicMaterial({ color: 0x00ff88, depthTest: false, transparent: true, opacity: 0.8 });
+
+/**
+ * Give `object3D` a body built from its own geometry, in the object's local space so the body follows its scale.
+ * 'auto' picks the smallest of a box, sphere or capsule that encloses every vertex, 'hull' wraps all meshes in one
+ * convex hull, 'compound' splits them into convex pieces (separate mesh islands first, then halves while that
+ * removes enough empty space) and 'mesh' uses the triangles as they are, for static level geometry only.
+ *
+ * @example
+ * GameObjectFactory.createFromModel(scene, { model: 'rock' }, { physicsConfig: { collider: 'hull', mass: 20 } });
+ */
+export function buildCollider(physics: Physics, object3D: THREE.Object3D, config: IPhysicsConfig) {
+  const { collider: type = 'auto', colliderOptions = {}, ...rest } = config;
+  const isStatic = ((rest.collisionFlags ?? 0) & 1) === 1;
+  const isKinematic = ((rest.collisionFlags ?? 0) & 2) === 2;
+  const mass = rest.mass ?? (isStatic || isKinematic ? 0 : 1);
+  let kind = type;
+  if (kind === 'mesh' && mass > 0) {
+    console.warn(`buildCollider: triangle meshes can't be dynamic, ${object3D.name} gets a compound collider`);
+    kind = 'compound';
+  }
+  const triangles = collectTriangles(object3D);
+  if (!triangles.length) {
+    console.warn(`buildCollider: ${object3D.name} has no geometry, falling back to enable3d's shape`);
+    physics.add.existing(object3D as any, rest);
+    return;
+  }
+  const collider: ICollider = { type: kind };
+  if (kind === 'auto' || kind === 'box' || kind === 'sphere' || kind === 'capsule') {
+    const fit = fitPrimitive(trianglePoints(triangles), kind);
+    collider.fit = fit;
+    // enable3d places compound children by x/y/z, so off-center fits stay serializable config
+    physics.add.existing(object3D as any, { ...rest, compound: [primitiveConfig(fit)] });
+  } else {
+    let shape: any;
+    if (kind === 'mesh') {
+      collider.triangles = triangles;
+      shape = triangleMeshShape(triangles);
+    } else {
+      collider.hulls = kind === 'hull' ? [hullPoints(trianglePoints(triangles))] : decompose(triangles, colliderOptions);
+      collider.hulls = collider.hulls.filter(hull => hull.length >= 4);
+      shape = new Ammo.btCompoundShape();
+      const identity = new Ammo.btTransform();
+      identity.setIdentity();
+      collider.hulls.forEach(hull => shape.addChildShape(identity, convexShape(hull)));
+      Ammo.destroy(identity);
+    }
+    addShapeBody(physics, object3D, shape, rest, mass, isKinematic);
+  }
+  colliders.set(object3D, collider);
+  if (colliderOptions.debug) setColliderDebug(object3D, true);
+}
+
+/* show or hide the wireframe of a collider made by buildCollider */
+export function setColliderDebug(object3D: THREE.Object3D, visible: boolean) {
+  const collider = colliders.get(object3D);
+  if (!collider) return;
+  if (visible && !collider.debug) {
+    collider.debug = debugView(collider);
+    object3D.add(collider.debug);
+  }
+  if (collider.debug) collider.debug.visible = visible;
+}
+
+/* smallest enclosing box, sphere or capsule around the points, or the one asked for */
+export function fitPrimitive(points: THREE.Vector3[], shape: 'auto' | 'box' | 'sphere' | 'capsule' = 'auto'): IPrimitiveFit {
+  const bounds = new THREE.Box3().setFromPoints(points);
+  const center = bounds.getCenter(new THREE.Vector3());
+  const size = bounds.getSize(new THREE.Vector3());
+  const fits: IPrimitiveFit[] = [];
+  if (shape === 'auto' || shape === 'box') {
+    fits.push({ shape: 'box', center, size, radius: 0, height: 0, axis: 'y', volume: size.x * size.y * size.z });
+  }
+  if (shape === 'auto' || shape === 'sphere') {
+    const radius = Math.sqrt(points.reduce((max, p) => Math.max(max, p.distanceToSquared(center)), 0));
+    fits.push({ shape: 'sphere', center, size, radius, height: 0, axis: 'y', volume: 4 / 3 * Math.PI * radius ** 3 });
+  }
+  if (shape === 'auto' || shape === 'capsule') {
+    // along the longest side: radius from the farthest point off the axis, then just enough straight section
+    const axis = AXES.reduce((a, b) => size[b] > size[a] ? b : a);
+    let radiusSq = 0;
+    for (const p of points) radiusSq = Math.max(radiusSq, offAxisSq(p, center, axis));
+    const radius = Math.sqrt(radiusSq);
+    let half = 0;
+    for (const p of points) half = Math.max(half, Math.abs(p[axis] - center[axis]) - Math.sqrt(Math.max(0, radiusSq - offAxisSq(p, center, axis))));
+    const height = half * 2;
+    fits.push({ shape: 'capsule', center, size, radius, height, axis, volume: Math.PI * radiusSq * height + 4 / 3 * Math.PI * radius ** 3 });
+  }
+  return fits.reduce((best, fit) => fit.volume < best.volume ? fit : best);
+}
+
+// --- Shapes ------------------------------------------------------------------
+
+function primitiveConfig(fit: IPrimitiveFit) {
+  const { x, y, z } = fit.center;
+  if (fit.shape === 'box') return { shape: 'box', width: fit.size.x, height: fit.size.y, depth: fit.size.z, x, y, z };
+  if (fit.shape === 'sphere') return { shape: 'sphere', radius: fit.radius, x, y, z };
+  return { shape: 'capsule', radius: fit.radius, height: fit.height, axis: fit.axis, x, y, z };
+}
+
+/* the tail of enable3d's addExisting, for shapes it can't build itself */
+function addShapeBody(physics: Physics, object3D: THREE.Object3D, shape: any, config: Types.AddExistingConfig, mass: number, isKinematic: boolean) {
+  const { collisionFlags = 0, collisionGroup = 1, collisionMask = -1, offset, margin = 0.01, breakable = false, fractureImpulse = 1, ignoreScale = false } = config;
+  const pos = object3D.getWorldPosition(new THREE.Vector3());
+  const quat = object3D.getWorldQuaternion(new THREE.Quaternion());
+  const scale = ignoreScale ? new THREE.Vector3(1, 1, 1) : object3D.getWorldScale(new THREE.Vector3());
+  const transform = physics.applyPosQuatScaleMargin(shape, pos, quat, scale, margin);
+  const body = physics.collisionShapeToRigidBody(shape, transform, mass, isKinematic);
+  physics.addRigidBodyToWorld(object3D as any, body, collisionFlags, collisionGroup, collisionMask, offset);
+  const target = object3D as any;
+  target.body.breakable = breakable;
+  target.body.fractureImpulse = fractureImpulse;
+  target.body.ignoreScale = ignoreScale;
+}
+
+function convexShape(points: THREE.Vector3[]) {
+  const vector = new Ammo.btVector3();
+  const hull = new Ammo.btConvexHullShape();
+  points.forEach((p, i) => {
+    vector.setValue(p.x, p.y, p.z);
+    hull.addPoint(vector, i === points.length - 1);
+  });
+  Ammo.destroy(vector);
+  // Bullet recommends staying under 100 points per hull
+  if (points.length < 100) return hull;
+  const reduced = new Ammo.btShapeHull(hull);
+  reduced.buildHull(hull.getMargin());
+  const shape = new Ammo.btConvexHullShape(Ammo.getPointer(reduced.getVertexPointer()), reduced.numVertices());
+  Ammo.destroy(reduced);
+  Ammo.destroy(hull);
+  return shape;
+}
+
+function triangleMeshShape(triangles: Float32Array) {
+  const mesh = new Ammo.btTriangleMesh(true, false);
+  const a = new Ammo.btVector3(), b = new Ammo.btVector3(), c = new Ammo.btVector3();
+  for (let i = 0; i < triangles.length; i += 9) {
+    a.setValue(triangles[i], triangles[i + 1], triangles[i + 2]);
+    b.setValue(triangles[i + 3], triangles[i + 4], triangles[i + 5]);
+    c.setValue(triangles[i + 6], triangles[i + 7], triangles[i + 8]);
+    mesh.addTriangle(a, b, c, true);
+  }
+  [a, b, c].forEach(v => Ammo.destroy(v));
+  return new Ammo.btBvhTriangleMeshShape(mesh, true, true);
+}
+
+// --- Geometry ----------------------------------------------------------------
+
+/* every visible mesh triangle under root, 9 floats each, in root's unscaled local space */
+function collectTriangles(root: THREE.Object3D) {
+  root.updateWorldMatrix(true, true);
+  const toLocal = root.matrixWorld.clone().invert();
+  const matrix = new THREE.Matrix4();
+  const vertex = new THREE.Vector3();
+  const out: number[] = [];
+  root.traverse((node: any) => {
+    if (!node.isMesh || !node.visible || !node.geometry?.attributes.position) return;
+    matrix.multiplyMatrices(toLocal, node.matrixWorld);
+    const position = node.geometry.attributes.position;
+    const index = node.geometry.index;
+    const count = index ? index.count : position.count;
+    for (let i = 0; i < count; i++) {
+      vertex.fromBufferAttribute(position, index ? index.getX(i) : i).applyMatrix4(matrix);
+      out.push(vertex.x, vertex.y, vertex.z);
+    }
+  });
+  return new Float32Array(out);
+}
+
+function trianglePoints(triangles: Float32Array, from = 0, to = triangles.length / 9) {
+  const points: THREE.Vector3[] = [];
+  for (let i = from * 9; i < to * 9; i += 3) points.push(new THREE.Vector3(triangles[i], triangles[i + 1], triangles[i + 2]));
+  return points;
+}
+
+function offAxisSq(p: THREE.Vector3, center: THREE.Vector3, axis: 'x' | 'y' | 'z') {
+  let sum = 0;
+  for (const other of AXES) if (other !== axis) sum += (p[other] - center[other]) ** 2;
+  return sum;
+}
+
+function computeHull(points: THREE.Vector3[]) {
+  // quickhull needs a volume, flat or tiny sets are kept as they are
+  if (points.length < 4) return null;
+  try {
+    return new ConvexHull().setFromPoints(points);
+  } catch {
+    return null;
+  }
+}
+
+function hullPoints(points: THREE.Vector3[]) {
+  const hull = computeHull(points);
+  if (!hull) return points;
+  const unique = new Set<THREE.Vector3>();
+  for (const face of hull.faces) {
+    let edge = face.edge;
+    do {
+      unique.add(edge.head().point);
+      edge = edge.next;
+    } while (edge !== face.edge);
+  }
+  return [...unique];
+}
+
+function hullVolume(points: THREE.Vector3[]) {
+  const hull = computeHull(points);
+  if (!hull) return 0;
+  let volume = 0;
+  const origin = points[0];
+  for (const face of hull.faces) {
+    const a = face.edge.head().point, b = face.edge.next.head().point, c = face.edge.next.next.head().point;
+    volume += Math.abs(new THREE.Vector3().subVectors(a, origin).dot(new THREE.Vector3().subVectors(b, origin).cross(new THREE.Vector3().subVectors(c, origin)))) / 6;
+  }
+  return volume;
+}
+
+// --- Decomposition -----------------------------------------------------------
+
+interface IPiece {
+  triangles: number[];    // triangle indices
+  points: THREE.Vector3[];
+  volume: number;         // of its hull
+  split?: { halves: IPiece[]; gain: number } | null;
+}
+
+/* approximate convex decomposition: mesh islands, then greedy halving of the piece that gains most */
+function decompose(triangles: Float32Array, options: IColliderOptions) {
+  const { maxParts = 16, concavity = 0.1 } = options;
+  const piece = (tris: number[]): IPiece => {
+    const points = tris.flatMap(t => trianglePoints(triangles, t, t + 1));
+    return { triangles: tris, points, volume: hullVolume(points) };
+  };
+  let pieces = islands(triangles).map(piece);
+  // too many islands, fold the smallest into the nearest bigger one
+  pieces.sort((a, b) => b.volume - a.volume);
+  while (pieces.length > maxParts) {
+    const small = pieces.pop()!;
+    const center = new THREE.Box3().setFromPoints(small.points).getCenter(new THREE.Vector3());
+    let nearest = pieces[0], best = Infinity;
+    for (const other of pieces) {
+      const distance = new THREE.Box3().setFromPoints(other.points).distanceToPoint(center);
+      if (distance < best) {
+        best = distance;
+        nearest = other;
+      }
+    }
+    pieces[pieces.indexOf(nearest)] = piece([...nearest.triangles, ...small.triangles]);
+  }
+  const trySplit = (p: IPiece) => {
+    if (p.split !== undefined) return p.split;
+    p.split = null;
+    if (p.triangles.length < 2 || p.volume <= 0) return null;
+    const bounds = new THREE.Box3().setFromPoints(p.points);
+    const size = bounds.getSize(new THREE.Vector3());
+    const axis = AXES.reduce((a, b) => size[b] > size[a] ? b : a);
+    const middle = bounds.getCenter(new THREE.Vector3())[axis];
+    const sides: number[][] = [[], []];
+    for (const t of p.triangles) {
+      const i = t * 9 + AXES.indexOf(axis);
+      sides[(triangles[i] + triangles[i + 3] + triangles[i + 6]) / 3 < middle ? 0 : 1].push(t);
+    }
+    if (!sides[0].length || !sides[1].length) return null;
+    const halves = sides.map(piece);
+    p.split = { halves, gain: 1 - (halves[0].volume + halves[1].volume) / p.volume };
+    return p.split;
+  };
+  while (pieces.length < maxParts) {
+    let best: IPiece | null = null;
+    for (const p of pieces) {
+      const split = trySplit(p);
+      if (split && split.gain >= concavity && (!best || split.gain > best.split!.gain)) best = p;
+    }
+    if (!best) break;
+    pieces = pieces.filter(p => p !== best).concat(best.split!.halves);
+  }
+  return pieces.map(p => hullPoints(p.points));
+}
+
+/* triangles grouped by shared vertex positions */
+function islands(triangles: Float32Array) {
+  const count = triangles.length / 9;
+  const parent = Array.from({ length: count }, (_, i) => i);
+  const find = (i: number): number => parent[i] === i ? i : (parent[i] = find(parent[i]));
+  const owner = new Map<string, number>();
+  for (let t = 0; t < count; t++) {
+    for (let v = 0; v < 3; v++) {
+      const i = t * 9 + v * 3;
+      const key = `${triangles[i].toFixed(4)},${triangles[i + 1].toFixed(4)},${triangles[i + 2].toFixed(4)}`;
+      const other = owner.get(key);
+      if (other === undefined) owner.set(key, t);
+      else parent[find(t)] = find(other);
+    }
+  }
+  const groups = new Map<number, number[]>();
+  for (let t = 0; t < count; t++) {
+    const root = find(t);
+    if (!groups.has(root)) groups.set(root, []);
+    groups.get(root)!.push(t);
+  }
+  return [...groups.values()];
+}
+
+// --- Debug -------------------------------------------------------------------
+
+function debugView(collider: ICollider) {
+  const group = new THREE.Group();
+  group.name = 'ColliderDebug';
+  const add = (geometry: THREE.BufferGeometry) => {
+    const lines = new THREE.LineSegments(geometry, debugMaterial);
+    lines.raycast = () => { };
+    lines.renderOrder = 999;
+    group.add(lines);
+    return lines;
+  };
+  const { fit, hulls, triangles } = collider;
+  if (fit) {
+    const geometry = fit.shape === 'box' ? new THREE.BoxGeometry(fit.size.x, fit.size.y, fit.size.z)
+      : fit.shape === 'sphere' ? new THREE.SphereGeometry(fit.radius, 16, 8)
+      : new THREE.CapsuleGeometry(fit.radius, fit.height, 4, 12);
+    const lines = add(new THREE.EdgesGeometry(geometry, fit.shape === 'box' ? 1 : 30));
+    geometry.dispose();
+    lines.position.copy(fit.center);
+    if (fit.shape === 'capsule' && fit.axis !== 'y') lines.rotation.set(fit.axis === 'z' ? Math.PI / 2 : 0, 0, fit.axis === 'x' ? Math.PI / 2 : 0);
+  }
+  hulls?.forEach(points => {
+    const hull = computeHull(points);
+    if (!hull) return;
+    const positions: number[] = [];
+    for (const face of hull.faces) {
+      let edge = face.edge;
+      do {
+        positions.push(...edge.tail()!.point.toArray(), ...edge.head().point.toArray());
+        edge = edge.next;
+      } while (edge !== face.edge);
+    }
+    add(new THREE.BufferGeometry().setAttribute('position', new THREE.Float32BufferAttribute(positions, 3)));
+  });
+  if (triangles) {
+    const geometry = new THREE.BufferGeometry().setAttribute('position', new THREE.BufferAttribute(triangles, 3));
+    add(new THREE.WireframeGeometry(geometry));
+    geometry.dispose();
+  }
+  return group;
+}
@@ -0,0 +1,168 @@
+// Damage types and status effects (damage over time, slows) applied through GameObject.damage
+import type { GameObject } from "./GameObject";
+
+// --- Damage -----------------------------------------------------------------
+
+export const DAMAGE_TYPES = {
+  GENERIC: 'generic',
+  PHYSICAL: 'physical',
+  FIRE: 'fire',
+  ICE: 'ice',
+  POISON: 'poison',
+  LIGHTNING: 'lightning',
+  HEAL: 'heal'
+}
+
+export interface IDamageProps {
+  amount: number;
+  type: string;
+  source: GameObject | null;
+  status?: string;                  // status effect name when the damage is a damage-over-time tick
+  ignoreInvulnerability?: boolean;  // hits through invulnerability windows (status ticks do)
+}
+
+// --- Status Effects ---------------------------------------------------------
+
+// what happens when an effect is applied while already active
+//   refresh: keep one stack, duration resets to the longer of the two
+//   stack:   add stacks up to maxStacks (damage scales per stack), duration refreshes
+//   extend:  add the new duration to what's left
+//   ignore:  keep the running effect untouched
+export type StatusStacking = 'refresh' | 'stack' | 'extend' | 'ignore'
+
+export interface IStatusEffect {
+  duration: number;           // seconds
+  damageType?: string;
+  damagePerSecond?: number;   // per stack
+  tickInterval?: number;      // seconds between damage ticks (default 1)
+  speedMultiplier?: number;   // movement speed while active, not affected by stacks
+  stacking?: StatusStacking;  // default 'refresh'
+  maxStacks?: number;         // default 1
+}
+
+export interface IActiveStatus {
+  name: string;
+  effect: IStatusEffect;
+  stacks: number;
+  remaining: number;          // seconds left
+  tickTimer: number;
+  source: GameObject | null;
+}
+
+export interface IApplyStatusProps {
+  duration?: number;          // overrides the effect's duration
+  stacks?: number;
+  source?: GameObject | null;
+}
+
+export const STATUS_EFFECTS = {
+  BURNING: 'burning',
+  POISONED: 'poisoned',
+  FROZEN: 'frozen'
+}
+
+export const statusEffectRegistry = new Map<string, IStatusEffect>()
+
+export function registerStatusEffect(name: string, effect: IStatusEffect) {
+  statusEffectRegistry.set(name, effect)
+}
+
+registerStatusEffect(STATUS_EFFECTS.BURNING, { duration: 3, damageType: DAMAGE_TYPES.FIRE, damagePerSecond: 4, tickInterval: 0.5 })
+registerStatusEffect(STATUS_EFFECTS.POISONED, { duration: 6, damageType: DAMAGE_TYPES.POISON, damagePerSecond: 2, stacking: 'stack', maxStacks: 5 })
+registerStatusEffect(STATUS_EFFECTS.FROZEN, { duration: 2, speedMultiplier: 0.4, stacking: 'extend' })
+
+/**
+ * Active status effects on one game object, ticked by GameScene every frame. Damage ticks go through
+ * GameObject.damage so resistances, components and events apply to them like any other hit.
+ */
+export class StatusEffects {
+  owner: GameObject
+  active = new Map<string, IActiveStatus>()
+  constructor(owner: GameObject) {
+    this.owner = owner
+  }
+
+  /* start or re-apply an effect by registered name, returns the active entry */
+  apply(name: string, { duration, stacks = 1, source = null }: IApplyStatusProps = {}) {
+    const effect = statusEffectRegistry.get(name)
+    if (!effect) {
+      console.warn(`StatusEffects: unknown status effect '${name}'`)
+      return null
+    }
+    const time = duration ?? effect.duration
+    const stacking = effect.stacking ?? 'refresh'
+    const maxStacks = effect.maxStacks ?? 1
+    const current = this.active.get(name)
+    if (current) {
+      if (stacking === 'ignore') return current
+      if (stacking === 'stack') current.stacks = Math.min(current.stacks + stacks, maxStacks)
+      if (stacking === 'extend') current.remaining += time
+      else current.remaining = Math.max(current.remaining, time)
+      current.source = source ?? current.source
+      return current
+    }
+    const status: IActiveStatus = {
+      name,
+      effect,
+      stacks: stacking === 'stack' ? Math.min(stacks, maxStacks) : 1,
+      remaining: time,
+      tickTimer: 0,
+      source
+    }
+    this.active.set(name, status)
+    this.owner.emit('statusAdded', status)
+    return status
+  }
+
+  remove(name: string) {
+    const status = this.active.get(name)
+    if (!status) return false
+    this.active.delete(name)
+    this.owner.emit('statusRemoved', status)
+    return true
+  }
+
+  has(name: string) {
+    return this.active.has(name)
+  }
+
+  stacks(name: string) {
+    return this.active.get(name)?.stacks ?? 0
+  }
+
+  clear() {
+    for (const name of [...this.active.keys()]) this.remove(name)
+  }
+
+  /* combined movement multiplier of every active effect */
+  get speedMultiplier() {
+    let multiplier = 1
+    this.active.forEach(status => multiplier *= status.effect.speedMultiplier ?? 1)
+    return multiplier
+  }
+
+  update(dt: number) {
+    for (const status of [...this.active.values()]) {
+      if (!this.owner.alive) return
+      const { effect } = status
+      // never tick past the end of the effect
+      const elapsed = Math.min(dt, status.remaining)
+      status.remaining -= dt
+      if (effect.damagePerSecond) {
+        const interval = effect.tickInterval ?? 1
+        status.tickTimer += elapsed
+        while (status.tickTimer >= interval && this.owner.alive) {
+          status.tickTimer -= interval
+          this.owner.damage({
+            amount: effect.damagePerSecond * interval * status.stacks,
+            type: effect.damageType ?? DAMAGE_TYPES.GENERIC,
+            source: status.source,
+            status: status.name,
+            ignoreInvulnerability: true
+          })
+        }
+      }
+      if (status.remaining <= 0 && this.owner.alive) this.remove(status.name)
+    }
+  }
+}
@@ -0,0 +1,71 @@
+// Small typed event emitter used by GameObject and GameScene
+
+export type EventMap = { [event: string]: (...args: any[]) => void }
+
+interface IListener {
+  fn: (...args: any[]) => void;
+  context?: any;
+  once: boolean;
+}
+
+export class EventEmitter<TEvents extends EventMap = EventMap> {
+  private listeners = new Map<keyof TEvents, IListener[]>()
+
+  on<K extends keyof TEvents>(event: K, fn: TEvents[K], context?: any) {
+    return this.addListener(event, { fn, context, once: false })
+  }
+
+  once<K extends keyof TEvents>(event: K, fn: TEvents[K], context?: any) {
+    return this.addListener(event, { fn, context, once: true })
+  }
+
+  /* remove one listener, every listener for an event, or everything when called without arguments */
+  off<K extends keyof TEvents>(event?: K, fn?: TEvents[K], context?: any) {
+    if (event === undefined) {
+      this.listeners.clear()
+      return this
+    }
+    if (!fn) {
+      this.listeners.delete(event)
+      return this
+    }
+    const list = this.listeners.get(event)
+    if (!list) return this
+    const kept = list.filter(l => l.fn !== fn || (context !== undefined && l.context !== context))
+    if (kept.length) this.listeners.set(event, kept)
+    else this.listeners.delete(event)
+    return this
+  }
+
+  /* returns true if anything was listening */
+  emit<K extends keyof TEvents>(event: K, ...args: Parameters<TEvents[K]>) {
+    const list = this.listeners.get(event)
+    if (!list) return false
+    // copy so listeners can unsubscribe while we iterate
+    for (const l of [...list]) {
+      if (l.once) this.removeListener(event, l)
+      l.fn.apply(l.context, args)
+    }
+    return true
+  }
+
+  hasListeners(event: keyof TEvents) {
+    return this.listeners.has(event)
+  }
+
+  private addListener(event: keyof TEvents, listener: IListener) {
+    const list = this.listeners.get(event)
+    if (list) list.push(listener)
+    else this.listeners.set(event, [listener])
+    return this
+  }
+
+  /* this entry only, off() would also take `on` listeners sharing its function */
+  private removeListener(event: keyof TEvents, listener: IListener) {
+    const list = this.listeners.get(event)
+    const index = list ? list.indexOf(listener) : -1
+    if (index < 0) return
+    list!.splice(index, 1)
+    if (!list!.length) this.listeners.delete(event)
+  }
+}
@@ -2,8 +2,18 @@
 import { THREE } from "@enable3d/phaser-extension";
 import { GameScene } from "./GameScene"
 import * as Types from '@enable3d/common/dist/types.js';
-import { GLTFLoader } from 'three/addons/loaders/GLTFLoader.js';
-import { playTrackAt, stopTrack } from "./AudioManager";
+import { GLTF } from 'three/addons/loaders/GLTFLoader.js';
+import * as SkeletonUtils from 'three/addons/utils/SkeletonUtils.js';
+import { VRM, VRMUtils } from '@pixiv/three-vrm';
+import { playTrackAt, playTrackAtPosition, stopTrack } from "./AudioManager";
+import { assets } from "./AssetManager";
+import type { IPhysicsConfig } from "./Colliders";
+import { encodeValue, decodeValue, ISerializedComponent, ISerializedGameObject } from "./Serialize";
+import { deepMerge } from "./Utils";
+import { EventEmitter } from "./Events";
+import { GameObjectPool } from "./GameObjectPool";
+import { Timers } from "./Timers";
+import { DAMAGE_TYPES, IDamageProps, StatusEffects, IActiveStatus, IApplyStatusProps } from "./Damage";
 
 export let GO_RIGIDBODY_FLAGS = {
   DYNAMIC: 0,
@@ -12,22 +22,82 @@ export let GO_RIGIDBODY_FLAGS = {
   GHOST: 4
 }
 
+const _worldVec = new THREE.Vector3()
+const _worldQuat = new THREE.Quaternion()
+
 // --- Damage props ---------------------------------------------------
 
-export const DAMAGE_TYPES = {
-  GENERIC: 'generic',
-  PHYSICAL: 'physical',
-  FIRE: 'fire',
-  ICE: 'ice',
-  POISON: 'poison',
-  LIGHTNING: 'lightning',
-  HEAL: 'heal'
+export { DAMAGE_TYPES, STATUS_EFFECTS, registerStatusEffect } from "./Damage"
+export type { IDamageProps, IStatusEffect, IActiveStatus, IApplyStatusProps } from "./Damage"
+
+// --- Stats ------------------------------------------------------------------
+
+// well-known stat names, read through GameObject.getStat (see CompStats)
+export const STATS = {
+  MOVE_SPEED: 'moveSpeed',
+  FLY_SPEED: 'flySpeed',
+  JUMP_FORCE: 'jumpForce',
+  MAX_HEALTH: 'maxHealth',
+  DAMAGE: 'damage'            // multiplier on damage this object deals
+}
+
+// --- Events -----------------------------------------------------------------
+
+export interface ICollisionContact {
+  object3D: THREE.Object3D;   // the other object, set even when it isn't a game object (ground, fragments)
+  point?: Types.XYZ;          // world contact point, not available on exit
+  normal?: Types.XYZ;
+  impulse?: number;
+}
+
+export interface IGameObjectEvents {
+  added: (gameObject: GameObject) => void;
+  removed: (gameObject: GameObject) => void;
+  killed: (gameObject: GameObject) => void;
+  damaged: (damageProps: IDamageProps, amount: number) => void;   // amount after resistances, components and clamping
+  healed: (damageProps: IDamageProps, amount: number) => void;
+  died: (damageProps: IDamageProps) => void;                      // health ran out, 'killed' follows
+  statusAdded: (status: IActiveStatus) => void;
+  statusRemoved: (status: IActiveStatus) => void;
+  acquired: (gameObject: GameObject) => void;
+  released: (gameObject: GameObject) => void;
+  collisionEnter: (other: GameObject | null, contact: ICollisionContact) => void;
+  collisionStay: (other: GameObject | null, contact: ICollisionContact) => void;
+  collisionExit: (other: GameObject | null, contact: ICollisionContact) => void;
+  [event: string]: (...args: any[]) => void;
 }
 
-export interface IDamageProps {
-  amount: number;
-  type: string;
-  source: GameObject | null;
+const COLLISION_EVENTS: Record<string, 'collisionEnter' | 'collisionStay' | 'collisionExit'> = {
+  start: 'collisionEnter',
+  collision: 'collisionStay',
+  end: 'collisionExit'
+}
+
+// --- Component Ordering -----------------------------------------------------
+
+// per-class priority, lower runs first within each update phase
+export const COMP_PRIORITY = {
+  INPUT: -200,
+  MOVEMENT: -100,
+  DEFAULT: 0,
+  PHYSICS: 100,
+  ANIMATION: 150,
+  CAMERA: 200,
+  AUDIO: 300
+}
+
+// update phases, run by the scene in this order every frame (fixed runs 0..n times at GameScene.fixedDt)
+export const COMP_PHASES = ['compEarlyUpdate', 'compFixedUpdate', 'compUpdate', 'compLateUpdate'] as const
+export type CompPhase = typeof COMP_PHASES[number]
+
+// --- Component Registry -----------------------------------------------------
+
+// name -> class, so level files refer to components by a name that survives minification
+export const componentRegistry = new Map<string, ComponentClass>()
+
+export function registerComponent(name: string, component: ComponentClass) {
+  componentRegistry.set(name, component);
+  (component as typeof GameObjectComponent).typeName = name
 }
 
 // --- Component Properties ---------------------------------------------------
@@ -40,9 +110,29 @@ export interface ICompPropsMesh extends ICompProps {
   mesh?: THREE.Object3D;
 }
 
+// --- Component Dependencies -------------------------------------------------
+
+export type ComponentClass<T extends GameObjectComponent = GameObjectComponent> = new (parent: GameObject, props: any) => T;
+
+export interface ICompDependency {
+  component: ComponentClass;
+  scope?: 'self' | 'scene'; // sibling on the same game object (default) or a component anywhere in the scene
+  props?: ICompProps;        // props used when a missing sibling is auto-added
+  optional?: boolean;        // don't warn when a scene dependency can't be found
+}
+
 // --- Game Object Component --------------------------------------------------
 
 export class GameObjectComponent {
+  /* dependencies resolved onto the matching field before compStart, e.g. { water: { component: CompWaterPBR, scope: 'scene' } } */
+  static requires: Record<string, ICompDependency> = {}
+  /* order within each update phase, see COMP_PRIORITY */
+  static priority = COMP_PRIORITY.DEFAULT
+  /* set by registerComponent, unregistered components are left out of serialize() */
+  static typeName = ''
+  /* prop keys written to level files */
+  static serializable: string[] = []
+
   parent: GameObject
   name: string
   props: ICompProps
@@ -51,12 +141,38 @@ export class GameObjectComponent {
     this.props = props
     this.name = "Component"
   }
+
+  getComponent<T extends GameObjectComponent>(component: ComponentClass<T>) {
+    return this.parent.getComponent(component)
+  }
   
   compStart() { /* component init on first frame */ }
+  compReset() { /* pooled object acquired again, restore per-spawn state */ }
+  compEarlyUpdate(dt: number) { /* before any compUpdate, e.g. input sampling */ }
+  compFixedUpdate(dt: number) { /* simulation step, dt is always the scene's fixedDt */ }
   compUpdate(dt: number) { /* component update per frame */ }
+  compLateUpdate(dt: number) { /* after every compUpdate, e.g. camera follow */ }
   compDestroy() { /* component destroy */ }
   compOnDamage(damageProps: IDamageProps) { return damageProps.amount /* modify damage if needed */ }
+  compGetStat(stat: string, value: number) { return value /* modify a stat read through GameObject.getStat */ }
+  compOnCollisionEnter(other: GameObject | null, contact: ICollisionContact) { /* first physics step touching */ }
+  compOnCollisionStay(other: GameObject | null, contact: ICollisionContact) { /* every step still touching */ }
+  compOnCollisionExit(other: GameObject | null, contact: ICollisionContact) { /* stopped touching */ }
   compSetProperties(props: ICompProps) { /* set component properties dynamically */ }
+  compGetState(): any { return undefined /* runtime state worth saving beyond props */ }
+  compSetState(state: any) { /* restore what compGetState returned, called right after construction */ }
+
+  compSerialize(): ISerializedComponent | null {
+    const compClass = this.constructor as typeof GameObjectComponent
+    if (!compClass.typeName) return null
+    const props: Record<string, any> = {}
+    for (const key of compClass.serializable) {
+      const encoded = encodeValue((this.props as any)[key])
+      if (encoded !== undefined) props[key] = encoded
+    }
+    const state = encodeValue(this.compGetState())
+    return state === undefined ? { type: compClass.typeName, props } : { type: compClass.typeName, props, state }
+  }
 }
 
 // --- Game Object Properties -------------------------------------------------
@@ -71,9 +187,13 @@ export interface IGameObjectProperties {
   anims: Set<string>;
   object3D: any;
   components: Map<typeof GameObjectComponent, ICompProps>;
-  physicsConfig: Types.AddExistingConfig;
+  physicsConfig: IPhysicsConfig;
   health: number;
   maxHealth: number;
+  resistances?: Record<string, number>;  // per damage type: 0.5 takes half, 1 immune, -0.5 weak (takes 150%)
+  invulnerabilityOnHit?: number;         // seconds of invulnerability after taking damage
+  model?: IModelSource;
+  vrm?: VRM;                             // set by createFromModelVrm, spring bones/expressions/lookAt live here
 }
 
 // --- Game Object ------------------------------------------------------------
@@ -82,6 +202,18 @@ export class GameObject {
   props: IGameObjectProperties
   components = new Map<GameObjectComponent, ICompProps>()
   alive: boolean
+  started = false
+  parentObject: GameObject | null = null
+  children = new Set<GameObject>()
+  events = new EventEmitter<IGameObjectEvents>()
+  pool: GameObjectPool | null = null
+  pooled = false        // sleeping in its pool
+  bodyDisabled = false  // body taken out of the physics world by the pool
+  status = new StatusEffects(this)
+  invulnerableTime = 0  // seconds left in the current invulnerability window
+  timers = new Timers()
+  interpolate = false   // moved in compFixedUpdate: drawn between the last two steps (see GameScene.fixedAlpha)
+  private savedCollisionFlags: number | null = null
   constructor(gameObjectProperties: IGameObjectProperties) {
     this.props = gameObjectProperties
     this.props.object3D.position.set(gameObjectProperties.position.x, gameObjectProperties.position.y, gameObjectProperties.position.z)
@@ -99,37 +231,207 @@ export class GameObject {
   /* every frame */
   update(time: number, dt: number) { }
 
-  /* kill the game object (remove from scene and disable) */
+  /* kill the game object and its children (remove from scene and disable) */
   kill() {
+    if (this.pooled) return
+    this.children.forEach(child => child.kill())
+    const wasAlive = this.alive
     this.alive = false
     this.props.object3D.visible = false
+    if (wasAlive) this.emit('killed', this)
+    // pooled objects go back to sleep instead of being destroyed
+    if (this.pool) {
+      this.pool.release(this)
+      return
+    }
     if (this.props.object3D.hasBody) this.props.object3D.body.enable = false
     this.props?.gameScene?.removeGameObject(this)
   }
 
-  /* apply damage or healing to the game object, returns the modified amount */
+  /* apply damage or healing, returns the final amount taken or healed after resistances, components and clamping */
   damage(damageProps: IDamageProps) {
     if (!this.alive) return 0
-    let modifiedAmount = damageProps.amount
-    if (damageProps.type === DAMAGE_TYPES.HEAL) {
-      modifiedAmount = -modifiedAmount
-    } else {
-      modifiedAmount = Math.min(this.props.health, modifiedAmount)
+    const healing = damageProps.type === DAMAGE_TYPES.HEAL
+    if (!healing && this.invulnerable && !damageProps.ignoreInvulnerability) return 0
+    let amount = damageProps.amount
+    if (!healing) {
+      const dealt = damageProps.source?.props ? damageProps.source.getStat(STATS.DAMAGE, 1) : 1
+      amount *= dealt * (1 - this.getResistance(damageProps.type))
     }
-    // comp system to handle damage modifications
-    this.components.forEach((v: ICompProps, k: GameObjectComponent) => {
-      modifiedAmount = k.compOnDamage({ ...damageProps, amount: modifiedAmount })
-    });
-    this.props.health -= modifiedAmount
-    if (this.props.health <= 0) this.kill()
-    return modifiedAmount
-   }
+    // components modify the amount in the same priority order they update in
+    for (const comp of this.getComponentsByPriority()) {
+      amount = comp.compOnDamage({ ...damageProps, amount })
+    }
+    const { health, maxHealth } = this.props
+    if (healing) {
+      amount = Math.max(0, Math.min(amount, maxHealth - health))
+      this.props.health += amount
+      if (amount > 0) this.emit('healed', damageProps, amount)
+      return amount
+    }
+    amount = Math.max(0, Math.min(amount, health))
+    this.props.health -= amount
+    this.emit('damaged', damageProps, amount)
+    if (this.props.health <= 0) {
+      this.emit('died', damageProps)
+      this.kill()
+    } else if (amount > 0 && this.props.invulnerabilityOnHit) {
+      this.setInvulnerable(this.props.invulnerabilityOnHit)
+    }
+    return amount
+  }
+
+  /* value of a stat after every component's compGetStat, fallback is used when nothing defines it */
+  getStat(stat: string, fallback = 0) {
+    let value = fallback
+    for (const comp of this.getComponentsByPriority()) value = comp.compGetStat(stat, value)
+    return value
+  }
+
+  heal(amount: number, source: GameObject | null = null) {
+    return this.damage({ amount, type: DAMAGE_TYPES.HEAL, source })
+  }
+
+  /* fraction of a damage type that is ignored, negative for weaknesses */
+  getResistance(type: string) {
+    return this.props.resistances?.[type] ?? 0
+  }
+
+  setResistance(type: string, value: number) {
+    this.props.resistances = { ...this.props.resistances, [type]: value }
+  }
+
+  get invulnerable() {
+    return this.invulnerableTime > 0
+  }
+
+  /* ignore damage for the next `seconds`, an active longer window is kept */
+  setInvulnerable(seconds: number) {
+    this.invulnerableTime = Math.max(this.invulnerableTime, seconds)
+  }
+
+  applyStatus(name: string, props?: IApplyStatusProps) {
+    return this.status.apply(name, props)
+  }
+
+  removeStatus(name: string) {
+    return this.status.remove(name)
+  }
+
+  hasStatus(name: string) {
+    return this.status.has(name)
+  }
+
+  /* count down invulnerability and tick status effects, called by the scene every frame */
+  updateStatus(dt: number) {
+    if (this.invulnerableTime > 0) this.invulnerableTime = Math.max(0, this.invulnerableTime - dt)
+    if (this.status.active.size) this.status.update(dt)
+  }
+
+  // --- Timers ---------------------------------------------------------------
+
+  /* call fn once after `seconds` of scene time, cancelled if this object is removed first */
+  after(seconds: number, fn: () => void) {
+    return this.timers.after(seconds, fn)
+  }
+
+  /* call fn every `seconds`, `count` times or until cancelled */
+  every(seconds: number, fn: () => void, count = -1) {
+    return this.timers.every(seconds, fn, count)
+  }
+
+  /* await this.wait(1) inside async sequences */
+  wait(seconds: number) {
+    return this.timers.wait(seconds)
+  }
+
+  cancelTimers() {
+    this.timers.clear()
+  }
 
   // -- Components -----------------------------------------------------------
 
-  addComponent(component: typeof GameObjectComponent, props: ICompProps = {}) {
+  addComponent<T extends GameObjectComponent>(component: ComponentClass<T>, props: ICompProps = {}) {
     const comp = new component(this, props)
     this.components.set(comp, props)
+    this.props.gameScene?.markComponentOrderDirty()
+    // added at runtime, start it right away
+    if (this.started) {
+      this.resolveDependencies()
+      comp.compStart()
+      this.refreshCollisionEvents()
+    }
+    return comp
+  }
+
+  getComponent<T extends GameObjectComponent>(component: ComponentClass<T>): T | undefined {
+    for (const comp of this.components.keys()) {
+      if (comp instanceof component) return comp
+    }
+    return undefined
+  }
+
+  getComponents<T extends GameObjectComponent>(component: ComponentClass<T>): T[] {
+    const found: T[] = []
+    for (const comp of this.components.keys()) {
+      if (comp instanceof component) found.push(comp)
+    }
+    return found
+  }
+
+  /* components sorted by class priority, insertion order breaks ties */
+  private getComponentsByPriority() {
+    const priority = (comp: GameObjectComponent) => (comp.constructor as typeof GameObjectComponent).priority
+    return Array.from(this.components.keys()).sort((a, b) => priority(a) - priority(b))
+  }
+
+  hasComponent(component: ComponentClass) {
+    return this.getComponent(component) !== undefined
+  }
+
+  /* remove every component of the given class, returns true if any were removed */
+  removeComponent(component: ComponentClass) {
+    let removed = false
+    this.components.forEach((v: ICompProps, k: GameObjectComponent) => {
+      if (k instanceof component) {
+        k.compDestroy?.()
+        this.components.delete(k)
+        removed = true
+      }
+    });
+    if (removed) this.props.gameScene?.markComponentOrderDirty()
+    return removed
+  }
+
+  /* fill each component's declared requirements, auto-adding missing siblings */
+  resolveDependencies() {
+    const resolved = new Set<GameObjectComponent>()
+    let pending = Array.from(this.components.keys())
+    while (pending.length) {
+      for (const comp of pending) {
+        this.resolveComponent(comp)
+        resolved.add(comp)
+      }
+      // auto-added siblings may declare requirements of their own
+      pending = Array.from(this.components.keys()).filter(comp => !resolved.has(comp))
+    }
+  }
+
+  private resolveComponent(comp: GameObjectComponent) {
+    const requires = (comp.constructor as typeof GameObjectComponent).requires
+    const target = comp as any
+    for (const key in requires) {
+      if (target[key]) continue
+      const dep = requires[key]
+      let found: GameObjectComponent | undefined
+      if (dep.scope === 'scene') {
+        found = this.props.gameScene.findComponent(dep.component)
+        if (!found && !dep.optional) console.warn(`${comp.name}: no ${dep.component.name} found in scene for '${key}'`)
+      } else {
+        found = this.getComponent(dep.component) ?? this.addComponent(dep.component, { ...dep.props })
+      }
+      target[key] = found
+    }
   }
 
   removeComponentByName(name: string) {
@@ -137,6 +439,7 @@ export class GameObject {
       if (k.name === name) {
         k.compDestroy?.()
         this.components.delete(k)
+        this.props.gameScene?.markComponentOrderDirty()
       }
     });
   }
@@ -148,6 +451,176 @@ export class GameObject {
   preRemove() { /* before removing from scene */ }
   postRemove() { /* after removing from scene */ }
 
+  // --- Events --------------------------------------------------------------
+
+  on<K extends keyof IGameObjectEvents>(event: K, fn: IGameObjectEvents[K], context?: any) {
+    this.events.on(event, fn, context)
+    if (typeof event === 'string' && event.startsWith('collision')) this.refreshCollisionEvents()
+    return this
+  }
+
+  once<K extends keyof IGameObjectEvents>(event: K, fn: IGameObjectEvents[K], context?: any) {
+    this.events.once(event, fn, context)
+    if (typeof event === 'string' && event.startsWith('collision')) this.refreshCollisionEvents()
+    return this
+  }
+
+  off<K extends keyof IGameObjectEvents>(event?: K, fn?: IGameObjectEvents[K], context?: any) {
+    this.events.off(event, fn, context)
+    return this
+  }
+
+  emit<K extends keyof IGameObjectEvents>(event: K, ...args: Parameters<IGameObjectEvents[K]>) {
+    return this.events.emit(event, ...args)
+  }
+
+  /* collision reports from the scene, forwarded to listeners and components */
+  handleCollision(event: string, other: GameObject | null, contact: ICollisionContact) {
+    const name = COLLISION_EVENTS[event]
+    if (!name || !this.alive) return
+    this.emit(name, other, contact)
+    const hook = name === 'collisionEnter' ? 'compOnCollisionEnter' : name === 'collisionStay' ? 'compOnCollisionStay' : 'compOnCollisionExit'
+    this.components.forEach((v: ICompProps, k: GameObjectComponent) => k[hook](other, contact))
+  }
+
+  /* true when a listener or component override cares about collisions */
+  wantsCollisions() {
+    if (this.events.hasListeners('collisionEnter') || this.events.hasListeners('collisionStay') || this.events.hasListeners('collisionExit')) return true
+    const base = GameObjectComponent.prototype
+    for (const comp of this.components.keys()) {
+      if (comp.compOnCollisionEnter !== base.compOnCollisionEnter ||
+          comp.compOnCollisionStay !== base.compOnCollisionStay ||
+          comp.compOnCollisionExit !== base.compOnCollisionExit) return true
+    }
+    return false
+  }
+
+  /* ammo only reports contacts for bodies that opt in */
+  refreshCollisionEvents() {
+    const object3D = this.props?.object3D
+    if (object3D?.hasBody && this.wantsCollisions()) object3D.body.checkCollisions = true
+  }
+
+  // --- Hierarchy -----------------------------------------------------------
+
+  /* parent another game object under this one, optionally under a named bone or node of our object3D */
+  attachChild(child: GameObject, boneOrNodeName?: string, keepWorldTransform = false) {
+    if (child === this || this.isDescendantOf(child)) {
+      console.warn(`GameObject: can't attach ${child.props.name} under its own descendant ${this.props.name}`)
+      return
+    }
+    child.detachFromParent()
+    let node: THREE.Object3D = this.props.object3D
+    if (boneOrNodeName) {
+      const found = node.getObjectByName(boneOrNodeName)
+      if (found) node = found
+      else console.warn(`GameObject: no node '${boneOrNodeName}' on ${this.props.name}, attaching to root`)
+    }
+    // by default the child's position is treated as an offset from the node
+    if (keepWorldTransform) node.attach(child.props.object3D)
+    else node.add(child.props.object3D)
+    child.parentObject = this
+    this.children.add(child)
+    child.syncAttachedBody()
+  }
+
+  /* unparent a child, it stays where it is in world space */
+  detachChild(child: GameObject) {
+    if (child.parentObject !== this) return
+    this.children.delete(child)
+    child.parentObject = null
+    this.props.gameScene.third.scene.attach(child.props.object3D)
+    child.syncAttachedBody()
+  }
+
+  detachFromParent() {
+    this.parentObject?.detachChild(this)
+  }
+
+  isDescendantOf(other: GameObject) {
+    for (let p = this.parentObject; p; p = p.parentObject) {
+      if (p === other) return true
+    }
+    return false
+  }
+
+  /* attached bodies ride along kinematically, their own flags come back on detach */
+  syncAttachedBody() {
+    const object3D = this.props.object3D
+    if (!object3D.hasBody) return
+    const body = object3D.body
+    if (this.parentObject && this.savedCollisionFlags === null) {
+      this.savedCollisionFlags = body.getCollisionFlags()
+      body.setCollisionFlags(GO_RIGIDBODY_FLAGS.KINEMATIC)
+      body.ammo.setActivationState(4) // DISABLE_DEACTIVATION, kinematic bodies must never sleep
+      body.needUpdate = true
+    } else if (!this.parentObject && this.savedCollisionFlags !== null) {
+      body.setCollisionFlags(this.savedCollisionFlags)
+      body.ammo.setActivationState(1) // ACTIVE_TAG
+      body.ammo.activate()
+      this.savedCollisionFlags = null
+    }
+  }
+
+  // --- Transforms ----------------------------------------------------------
+
+  getWorldPosition(target = new THREE.Vector3()): THREE.Vector3 {
+    return this.props.object3D.getWorldPosition(target)
+  }
+
+  getWorldQuaternion(target = new THREE.Quaternion()): THREE.Quaternion {
+    return this.props.object3D.getWorldQuaternion(target)
+  }
+
+  setWorldPosition(position: Types.XYZ) {
+    const object3D = this.props.object3D
+    _worldVec.set(position.x ?? 0, position.y ?? 0, position.z ?? 0)
+    if (object3D.parent) {
+      object3D.parent.updateWorldMatrix(true, false)
+      object3D.parent.worldToLocal(_worldVec)
+    }
+    object3D.position.copy(_worldVec)
+    this.teleportBody()
+  }
+
+  setWorldQuaternion(quaternion: THREE.Quaternion) {
+    const object3D = this.props.object3D
+    if (object3D.parent) {
+      object3D.parent.getWorldQuaternion(_worldQuat).invert()
+      object3D.quaternion.copy(_worldQuat.multiply(quaternion))
+    } else {
+      object3D.quaternion.copy(quaternion)
+    }
+    this.teleportBody()
+  }
+
+  localToWorld(point: THREE.Vector3) {
+    this.props.object3D.updateWorldMatrix(true, false)
+    return this.props.object3D.localToWorld(point)
+  }
+
+  worldToLocal(point: THREE.Vector3) {
+    this.props.object3D.updateWorldMatrix(true, false)
+    return this.props.object3D.worldToLocal(point)
+  }
+
+  /* push a moved object3D to its body; dynamic bodies go kinematic for one physics step */
+  private teleportBody() {
+    const object3D = this.props.object3D
+    if (!object3D.hasBody) return
+    const body = object3D.body
+    const flags = body.getCollisionFlags()
+    if (flags !== GO_RIGIDBODY_FLAGS.KINEMATIC) {
+      body.setCollisionFlags(GO_RIGIDBODY_FLAGS.KINEMATIC)
+      body.once.update(() => {
+        body.setCollisionFlags(flags)
+        body.setVelocity(0, 0, 0)
+        body.setAngularVelocity(0, 0, 0)
+      })
+    }
+    body.needUpdate = true
+  }
+
   // --- Tags ----------------------------------------------------------------
 
   hasTag(tag: string) {
@@ -168,27 +641,64 @@ export class GameObject {
     return this.props.groups.has(group)
   }
 
-  addToGroup(group: string) {
+  addToGroup(group: string, includeChildren = false) {
     this.props.groups.add(group)
     this.props.gameScene.groupManager.get(group)?.add(this)
+    if (includeChildren) this.children.forEach(child => child.addToGroup(group, true))
   }
 
-  removeFromGroup(group: string) {
+  removeFromGroup(group: string, includeChildren = false) {
     this.props.groups.delete(group)
     this.props.gameScene.groupManager.get(group)?.delete(this)
+    if (includeChildren) this.children.forEach(child => child.removeFromGroup(group, true))
   }
 
   // --- Audio ---------------------------------------------------------------
 
-  playSound(name: string, position=null) {
-    if (position) playTrackAt(name, position)
-    else playTrackAt(name, this.props.object3D.position)
+  playSound(name: string, position: THREE.Vector3 | null = null) {
+    if (position) playTrackAtPosition(name, position)
+    else playTrackAt(name, this.props.object3D)
   }
 
   stopSound(name: string) {
     stopTrack(name);
   }
 
+  // --- Serialization -------------------------------------------------------
+
+  serialize(): ISerializedGameObject {
+    const { name, objectType, groups, tags, anims, health, maxHealth, resistances, invulnerabilityOnHit, physicsConfig, object3D, model } = this.props
+    const components: ISerializedComponent[] = []
+    this.components.forEach((v: ICompProps, k: GameObjectComponent) => {
+      const data = k.compSerialize()
+      if (data) components.push(data)
+    });
+    const data: ISerializedGameObject = {
+      name,
+      objectType,
+      position: encodeValue(object3D.position),
+      rotation: encodeValue(object3D.quaternion),
+      scale: encodeValue(object3D.scale),
+      groups: Array.from(groups),
+      tags: Array.from(tags),
+      anims: Array.from(anims),
+      health,
+      maxHealth,
+      physicsConfig: encodeValue(physicsConfig),
+      components
+    }
+    if (resistances) data.resistances = { ...resistances }
+    if (invulnerabilityOnHit) data.invulnerabilityOnHit = invulnerabilityOnHit
+    if (model) data.model = encodeValue(model)
+    else if (object3D.isMesh) {
+      // root mesh only, children are rebuilt by components
+      const mesh = new THREE.Mesh(object3D.geometry, object3D.material)
+      mesh.name = object3D.name
+      data.object = mesh.toJSON()
+    }
+    return data
+  }
+
   // --- Debug ---------------------------------------------------------------
 
   log() {
@@ -202,11 +712,115 @@ export class GameObject {
 export interface ICreateFromModelProps {
   model: string;
   scale?: number;
+  node?: string;      // a named node of the .glb instead of its first child, '*' for the whole scene
+}
+
+export interface IModelSource extends ICreateFromModelProps {
+  format: 'glb' | 'vrm';
+}
+
+// glTF extras (Blender custom properties) that make a node its own game object in createFromScene
+export const GLTF_EXTRAS_KEYS = ['prefab', 'component', 'components', 'physics', 'groups', 'tags'];
+// extras keys that describe the node, everything else next to `component` is that component's props
+const GLTF_NODE_KEYS = [...GLTF_EXTRAS_KEYS, 'name', 'objectType', 'health', 'maxHealth', 'castShadow', 'receiveShadow'];
+
+// --- Prefabs ----------------------------------------------------------------
+
+// components are keyed by registered name so prefabs can also come from JSON
+export type IPrefabProps = Omit<Partial<IGameObjectProperties>, 'components' | 'groups' | 'tags' | 'anims'> & {
+  groups?: Iterable<string>;
+  tags?: Iterable<string>;
+  anims?: Iterable<string>;
+  components?: Record<string, Record<string, any>>;
+}
+
+export interface IPrefab {
+  extends?: string;                 // parent prefab, its props and components are merged under ours
+  model?: IModelSource;             // load through createFromModel / createFromModelVrm
+  build?: () => THREE.Object3D;     // fresh object3D per instance when there is no model
+  props?: IPrefabProps;
 }
 
 export class GameObjectFactory {
-  static gltfLoader = new GLTFLoader();
-  static modelCache = new Map<string, any>();
+  static objectLoader = new THREE.ObjectLoader();
+  static modelCache = new Map<string, Promise<THREE.Object3D>>();  // 'glb:name@scale' -> template, files live in the AssetManager
+  static prefabs = new Map<string, IPrefab>();
+
+  static registerPrefab(name: string, prefab: IPrefab) {
+    this.prefabs.set(name, prefab);
+  }
+
+  /* register a set of prefabs from JSON, values use the level file encoding (e.g. { $type: 'Vector3', ... }) */
+  static registerPrefabs(json: Record<string, IPrefab> | string) {
+    const defs = typeof json === 'string' ? JSON.parse(json) : json;
+    for (const name in defs) this.registerPrefab(name, decodeValue(defs[name]));
+  }
+
+  /* flatten a prefab and its parents into one definition */
+  static resolvePrefab(name: string, seen = new Set<string>()): IPrefab {
+    const prefab = this.prefabs.get(name);
+    if (!prefab) throw new Error(`Unknown prefab '${name}'`);
+    if (seen.has(name)) throw new Error(`Prefab '${name}' extends itself`);
+    seen.add(name);
+    if (!prefab.extends) return prefab;
+    const base = this.resolvePrefab(prefab.extends, seen);
+    return {
+      model: prefab.model ?? (prefab.build ? undefined : base.model),
+      build: prefab.build ?? (prefab.model ? undefined : base.build),
+      props: deepMerge(base.props ?? {}, prefab.props ?? {}),
+    };
+  }
+
+  /* create a game object from a registered prefab, overrides are deep-merged over the prefab props.
+     Prefabs with a model return null and appear once loaded, use loadPrefab to get hold of them */
+  static createFromPrefab(gameScene: GameScene, name: string, overrides: IPrefabProps = {}) {
+    const { prefab, props } = this.prefabProps(name, overrides);
+    if (!props.object3D && prefab.model) {
+      this.loadModel(gameScene, prefab.model, props).catch(error => console.error(error));
+      return null;
+    }
+    return this.create(gameScene, { ...props, object3D: props.object3D ?? prefab.build?.() ?? new THREE.Object3D() });
+  }
+
+  /* createFromPrefab that waits for the model, rejects if it fails to load */
+  static async loadPrefab(gameScene: GameScene, name: string, overrides: IPrefabProps = {}): Promise<GameObject> {
+    const { prefab, props } = this.prefabProps(name, overrides);
+    if (!props.object3D && prefab.model) return this.loadModel(gameScene, prefab.model, props);
+    return this.create(gameScene, { ...props, object3D: props.object3D ?? prefab.build?.() ?? new THREE.Object3D() });
+  }
+
+  private static prefabProps(name: string, overrides: IPrefabProps) {
+    const prefab = this.resolvePrefab(name);
+    return { prefab, props: this.toProps(name, deepMerge(prefab.props ?? {}, overrides)) };
+  }
+
+  /* prefab encoding (components by registered name, iterable groups) to game object props */
+  private static toProps(name: string, prefabProps: IPrefabProps) {
+    const { components: compProps = {}, groups, tags, anims, ...rest } = prefabProps;
+    const components = new Map<typeof GameObjectComponent, ICompProps>();
+    for (const type in compProps) {
+      const compClass = componentRegistry.get(type);
+      if (!compClass) {
+        console.warn(`GameObjectFactory: unknown component '${type}' in ${name}`);
+        continue;
+      }
+      components.set(compClass as typeof GameObjectComponent, compProps[type]);
+    }
+    const props: Partial<IGameObjectProperties> = {
+      name,
+      ...rest,
+      groups: new Set(groups ?? []),
+      tags: new Set(tags ?? []),
+      components
+    };
+    if (anims) props.anims = new Set(anims);
+    return props;
+  }
+
+  /* createFromModel or createFromModelVrm, by the source's format */
+  static loadModel(gameScene: GameScene, source: IModelSource, props: Partial<IGameObjectProperties>) {
+    return source.format === 'vrm' ? this.createFromModelVrm(gameScene, source, props) : this.createFromModel(gameScene, source, props);
+  }
 
   static create(gameScene: GameScene, props: Partial<IGameObjectProperties>) {
     const defaultProps: IGameObjectProperties = {
@@ -228,132 +842,289 @@ export class GameObjectFactory {
     return newGameObject;
   }
 
-  static createFromModel(gameScene: GameScene, loaderProps: ICreateFromModelProps, props: Partial<IGameObjectProperties>) {
-    const { model } = loaderProps;
-    if (this.modelCache.has(model)) {
-      const cached = this.modelCache.get(model);
-      this.create(gameScene, { ...props, object3D: cached.clone() });
-    } else {
-      this.gltfLoader.load(`./models/${model}.glb`, gltf => {
-      const child = gltf.scene.children[0]
+  /* pool of prefab instances, see GameObjectPool */
+  static pool(gameScene: GameScene, prefab: string, size: number, overrides: IPrefabProps = {}, grow = true) {
+    const pool = new GameObjectPool(gameScene, prefab, size, overrides, grow);
+    gameScene.pools.add(pool);
+    return pool;
+  }
+
+  /* rebuild a game object from serialize() output, componentProps are merged over saved props by type name.
+     Resolves straight away unless the object has a model to load */
+  static async deserialize(gameScene: GameScene, data: ISerializedGameObject, componentProps: Record<string, Record<string, any>> = {}): Promise<GameObject> {
+    const components = new Map<typeof GameObjectComponent, ICompProps>()
+    const states = new Map<ComponentClass, any>()
+    for (const comp of data.components) {
+      const compClass = componentRegistry.get(comp.type)
+      if (!compClass) {
+        console.warn(`GameObjectFactory: unknown component '${comp.type}' in ${data.name}`)
+        continue
+      }
+      components.set(compClass as typeof GameObjectComponent, { ...decodeValue(comp.props), ...componentProps[comp.type] })
+      if (comp.state !== undefined) states.set(compClass, decodeValue(comp.state))
+    }
+    const props: Partial<IGameObjectProperties> = {
+      name: data.name,
+      objectType: data.objectType,
+      position: decodeValue(data.position),
+      groups: new Set(data.groups),
+      tags: new Set(data.tags),
+      health: data.health,
+      maxHealth: data.maxHealth,
+      resistances: data.resistances,
+      invulnerabilityOnHit: data.invulnerabilityOnHit,
+      physicsConfig: decodeValue(data.physicsConfig) ?? null,
+      components
+    }
+    if (data.anims?.length) props.anims = new Set(data.anims)
+    const restore = (gameObject: GameObject) => {
+      const object3D = gameObject.props.object3D
+      if (data.rotation) object3D.quaternion.copy(decodeValue(data.rotation))
+      if (data.scale) object3D.scale.copy(decodeValue(data.scale))
+      states.forEach((state, compClass) => gameObject.getComponent(compClass)?.compSetState(state))
+      return gameObject
+    }
+    if (data.model) return restore(await this.loadModel(gameScene, decodeValue(data.model) as IModelSource, props))
+    const object3D = data.object ? this.objectLoader.parse(data.object) : new THREE.Object3D()
+    return restore(this.create(gameScene, { ...props, object3D }))
+  }
+
+  /* the .glb comes from the AssetManager (preloaded if a bundle declares it), a template is made once per model and
+     scale and every instance is a SkeletonUtils clone sharing geometry and materials */
+  static async createFromModel(gameScene: GameScene, loaderProps: ICreateFromModelProps, props: Partial<IGameObjectProperties>): Promise<GameObject> {
+    const { model, node } = loaderProps;
+    const scale = loaderProps.scale || 1;
+    props = { ...props, model: { model, scale: loaderProps.scale, node, format: 'glb' } };
+    const template: THREE.Object3D = await this.loadCached(`glb:${model}@${scale}${node ? `#${node}` : ''}`, async () => {
+      const gltf: GLTF = await assets.load('model', model, `models/${model}.glb`);
+      const source = node === '*' ? gltf.scene : node ? gltf.scene.getObjectByName(node) : gltf.scene.children[0];
+      if (!source) throw new Error(`Model '${model}' has no node '${node}'`);
+      const child = SkeletonUtils.clone(source);
+      // tagged nodes inside a picked node are game objects of their own, see createFromScene
+      if (node) this.taggedNodes(child).filter(n => n !== child && n.name).forEach(n => n.removeFromParent());
       child.traverse((node: any) => { 
         if (node.isMesh) { 
-          node.castShadow = true; 
-          node.receiveShadow = true; 
+          // extras can opt a mesh out, e.g. { "castShadow": false } on a decal
+          node.castShadow = node.userData.castShadow ?? true; 
+          node.receiveShadow = node.userData.receiveShadow ?? true; 
         } 
       });
-      child.scale.setScalar(loaderProps.scale || 1);
+      child.scale.setScalar(scale);
       child.name = model;
-      // cache the model
-      this.modelCache.set(model, child);
-      this.create(gameScene, { ...props, object3D: child });
-    });  
-    }
+      child.animations = gltf.animations;
+      return child;
+    });
+    if (!gameScene.active) throw new Error(`Scene stopped while loading model '${model}'`);
+    // plain clone() leaves skinned meshes bound to the template's bones
+    return this.create(gameScene, { ...props, object3D: SkeletonUtils.clone(template) });
   }
 
-  static createFromModelVrm(gameScene: GameScene, loaderProps: ICreateFromModelProps, props: Partial<IGameObjectProperties>, ) {
+  /**
+   * Build a whole level from one .glb: every node whose glTF extras hold any of GLTF_EXTRAS_KEYS becomes its own
+   * game object (at its place in the file, nested tagged nodes are split out too) and the untagged rest becomes
+   * one object named after the model with `props`. Extras values may be JSON strings (Blender can't nest lists)
+   * and component props use the level file encoding.
+   *
+   * @example extras on a Blender object
+   * { "component": "CompBuoyancy", "probes": [{ "$type": "Vector3", "x": 0, "y": 0, "z": 1 }], "groups": "floating,props" }
+   * { "prefab": "BreakableCrate", "physics": { "mass": 5 } }
+   * { "physics": { "shape": "convex", "mass": 0 }, "tags": ["ground"] }
+   */
+  static async createFromScene(gameScene: GameScene, loaderProps: ICreateFromModelProps, props: Partial<IGameObjectProperties> = {}): Promise<GameObject[]> {
     const { model } = loaderProps;
     const scale = loaderProps.scale || 1;
-    if (this.modelCache.has(model)) {
-      if (this.modelCache.get(model).userData.baseScale !== scale) {
-        // if the scale has changed, we need to re-create the model
-        this.modelCache.delete(model);
-        this.createFromModelVrm(gameScene, loaderProps, props);
+    const gltf: GLTF = await assets.load('model', model, `models/${model}.glb`);
+    if (!gameScene.active) throw new Error(`Scene stopped while loading model '${model}'`);
+    gltf.scene.updateMatrixWorld(true);
+    const toLevel = new THREE.Matrix4().makeScale(scale, scale, scale).multiply(gltf.scene.matrixWorld.clone().invert());
+    // instances find their node by name (it's what a level file saves), unnamed ones stay part of the rest
+    const tagged = this.taggedNodes(gltf.scene).filter(node => node !== gltf.scene);
+    tagged.filter(node => !node.name).forEach(node => console.warn(`GameObjectFactory: a tagged node of '${model}' has no name, it is left in the scene object`));
+    const loads = tagged.filter(node => node.name).map(async node => {
+      const world = toLevel.clone().multiply(node.matrixWorld);
+      const position = new THREE.Vector3(), quaternion = new THREE.Quaternion(), nodeScale = new THREE.Vector3();
+      world.decompose(position, quaternion, nodeScale);
+      const obj = await this.createFromModel(gameScene, { model, scale, node: node.name }, { ...this.extrasProps(node), position });
+      obj.props.object3D.quaternion.copy(quaternion);
+      obj.props.object3D.scale.copy(nodeScale);
+      return obj;
+    });
+    // the rest of the file, skipped when every node was tagged
+    const rest = SkeletonUtils.clone(gltf.scene);
+    this.taggedNodes(rest).filter(node => node !== rest && node.name).forEach(node => node.removeFromParent());
+    let hasRest = false;
+    rest.traverse((node: any) => hasRest ||= !!node.isMesh);
+    if (hasRest) loads.unshift(this.createFromModel(gameScene, { model, scale, node: '*' }, { name: model, ...props }));
+    const results = await Promise.allSettled(loads);
+    const objects: GameObject[] = [];
+    results.forEach(result => {
+      if (result.status === 'fulfilled') objects.push(result.value);
+      else console.warn(`GameObjectFactory: ${result.reason?.message ?? result.reason}`);
+    });
+    return objects;
+  }
+
+  /* game object props from a node's extras, a `prefab` key starts from that prefab's props */
+  private static extrasProps(node: THREE.Object3D): Partial<IGameObjectProperties> {
+    const extras: Record<string, any> = {};
+    for (const key in node.userData) extras[key] = parseExtra(node.userData[key]);
+    const { prefab, component, components, physics, groups, tags, name, objectType, health, maxHealth } = extras;
+    const compProps: Record<string, Record<string, any>> = { ...components };
+    if (component) {
+      const own: Record<string, any> = {};
+      for (const key in extras) if (!GLTF_NODE_KEYS.includes(key)) own[key] = extras[key];
+      compProps[component] = { ...compProps[component], ...own };
+    }
+    for (const type in compProps) compProps[type] = decodeValue(compProps[type]);
+    const overrides: IPrefabProps = { components: compProps };
+    if (physics) overrides.physicsConfig = decodeValue(physics);
+    if (groups) overrides.groups = toList(groups);
+    if (tags) overrides.tags = toList(tags);
+    if (objectType) overrides.objectType = objectType;
+    if (health !== undefined) overrides.health = health;
+    if (maxHealth !== undefined) overrides.maxHealth = maxHealth;
+    let base: IPrefabProps = {};
+    if (prefab) {
+      try {
+        base = this.resolvePrefab(prefab).props ?? {};
+      } catch (error: any) {
+        console.warn(`GameObjectFactory: node ${node.name} ${error.message}`);
       }
-      const cached = this.modelCache.get(model);
-      this.create(gameScene, { ...props, object3D: cached.clone() });
-    } else {
-      this.gltfLoader.load(
-        `./models/${model}.vrm`,
-        (gltf) => {
-            const m: any = gltf.scene;
-            m.traverse((node: any) => { 
-              if (node.isMesh) { 
-                if (node.name === 'Body') {
-                  node.castShadow = true; 
-                  node.receiveShadow = true;
-                  console.log('body mat:', node);
-                }
-                node.frustumCulled = false;
-              }
-            });
-            
-            if (props.anims){
-              gameScene.third.animationMixers.add(m.animation.mixer);
-              gltf.animations.forEach(animation => {
-                if (animation.name) {
-                  // add a new animation to the model
-                  m.animation.add(animation.name, animation)
-                }
-              })
-            }
-
-            // --- 1) Measure model bounds (world AABB) ---
-            const bbox = new THREE.Box3().setFromObject(m);
-            const size = bbox.getSize(new THREE.Vector3());
-            
-            // Full model height:
-            const modelHeight = Math.max(0.01, size.y);
-
-            // Horizontal extents (X and Z). We’ll use the smaller as a proxy for shoulder width.
-            const widthX = size.x;
-            const widthZ = size.z;
-            const horizMin = Math.max(0.01, Math.min(widthX, widthZ));
-
-            // --- 2) Choose capsule radius & length (auto-fit) ---
-            // Heuristic: radius ~ 25% of smaller horizontal extent, clamped to sane character values.
-            let radius = THREE.MathUtils.clamp(horizMin * 0.25 * scale, 0.12 * scale, 0.45 * scale);
-
-            // Straight section length: modelHeight - the two hemispheres
-            let length = Math.max((modelHeight * scale) - 2 * radius, 0.2 * scale); // ensure > 0
-
-            // Optional: round to nice steps to avoid micro re-creations due to tiny variances
-            const roundTo = (v: number, step = 0.01) => Math.round(v / step) * step;
-            radius = roundTo(radius, 0.01);
-            length = roundTo(length, 0.01);
-
-            // create character capsule
-            const root = new THREE.CapsuleGeometry(radius, length, 8, 16);
-            const mat = new THREE.MeshStandardMaterial({ color: 0x000000, transparent: true, opacity: 0 });
-            const capsule = new THREE.Mesh(root, mat);
-            capsule.name = model + '_capsule';
-            capsule.userData.baseScale = scale; // store base scale for future reference
-            capsule.attach(gltf.scene);
-            
-            // parent VRM under capsule and set VRM scale:
-            gltf.scene.scale.setScalar(scale);
-
-            // --- 5) Vertically align: put avatar feet at capsule bottom ---
-            // Capsule is centered at y=0; its bottom is at -(length/2 + radius)
-            const capsuleBottomY = -(length * 0.5 + radius);
-
-            // We measured bbox before reparenting; its min.y is the avatar "feet" in world.
-            // Because the capsule is currently identity at (0,0,0), using that min is fine.
-            const currentFeetY = bbox.min.y;
-
-            // Shift the whole VRM so that its feet touch the capsule bottom:
-            gltf.scene.position.y += (capsuleBottomY - currentFeetY);
-
-            // ensure physics props are correct
-            props.physicsConfig = { ...props.physicsConfig, 
-              shape: 'capsule', 
-              radius: radius,           // Enable3D expects straight section height + radius fields
-              height: length,           // (height here is the straight cylinder section)
-              addChildren: false }
-
-             // cache the model
-            this.modelCache.set(model, capsule);
-
-            // create the game object
-            this.create(gameScene, { ...props, object3D: capsule });
-        },
-        (progress) => {
-            console.log('Loading progress:', progress.loaded / progress.total);
-        },
-        (error) => {
-            console.error('Error loading VRM:', error);
+    }
+    return this.toProps(name ?? node.name, deepMerge(base, overrides));
+  }
+
+  /* nodes whose extras make them game objects */
+  private static taggedNodes(root: THREE.Object3D) {
+    const nodes: THREE.Object3D[] = [];
+    root.traverse(node => {
+      if (GLTF_EXTRAS_KEYS.some(key => key in node.userData)) nodes.push(node);
+    });
+    return nodes;
+  }
+
+  /* the .vrm file is fetched once by the AssetManager, but each instance parses its own VRM: spring bones,
+     expressions and the humanoid rig don't survive cloning */
+  static async createFromModelVrm(gameScene: GameScene, loaderProps: ICreateFromModelProps, props: Partial<IGameObjectProperties>): Promise<GameObject> {
+    const { model } = loaderProps;
+    const scale = loaderProps.scale || 1;
+    props = { ...props, model: { model, scale: loaderProps.scale, format: 'vrm' } };
+    const buffer: ArrayBuffer = await assets.load('model', model, `models/${model}.vrm`);
+    let gltf: GLTF;
+    try {
+      gltf = await assets.gltfLoader.parseAsync(buffer, './models/');
+    } catch (error: any) {
+      throw new Error(`Failed to parse VRM '${model}': ${error?.message ?? error}`);
+    }
+    if (!gameScene.active) throw new Error(`Scene stopped while loading model '${model}'`);
+    const vrm: VRM | undefined = gltf.userData.vrm;
+    if (vrm) {
+      VRMUtils.removeUnnecessaryVertices(gltf.scene);
+      VRMUtils.combineSkeletons(gltf.scene);
+      VRMUtils.rotateVRM0(vrm);
+    }
+    const m: any = gltf.scene;
+    m.traverse((node: any) => { 
+      if (node.isMesh) { 
+        if (node.name === 'Body') {
+          node.castShadow = true; 
+          node.receiveShadow = true;
         }
-      );
+        node.frustumCulled = false;
+      }
+    });
+
+    // --- 1) Measure model bounds (world AABB) ---
+    const bbox = new THREE.Box3().setFromObject(m);
+    const size = bbox.getSize(new THREE.Vector3());
+    
+    // Full model height:
+    const modelHeight = Math.max(0.01, size.y);
+
+    // Horizontal extents (X and Z). We’ll use the smaller as a proxy for shoulder width.
+    const widthX = size.x;
+    const widthZ = size.z;
+    const horizMin = Math.max(0.01, Math.min(widthX, widthZ));
+
+    // --- 2) Choose capsule radius & length (auto-fit) ---
+    // Heuristic: radius ~ 25% of smaller horizontal extent, clamped to sane character values.
+    let radius = THREE.MathUtils.clamp(horizMin * 0.25 * scale, 0.12 * scale, 0.45 * scale);
+
+    // Straight section length: modelHeight - the two hemispheres
+    let length = Math.max((modelHeight * scale) - 2 * radius, 0.2 * scale); // ensure > 0
+
+    // Optional: round to nice steps to avoid micro re-creations due to tiny variances
+    const roundTo = (v: number, step = 0.01) => Math.round(v / step) * step;
+    radius = roundTo(radius, 0.01);
+    length = roundTo(length, 0.01);
+
+    // create character capsule
+    const root = new THREE.CapsuleGeometry(radius, length, 8, 16);
+    const mat = new THREE.MeshStandardMaterial({ color: 0x000000, transparent: true, opacity: 0 });
+    const capsule = new THREE.Mesh(root, mat);
+    capsule.name = model + '_capsule';
+    capsule.userData.baseScale = scale; // store base scale for future reference
+    capsule.animations = gltf.animations; // picked up by CompAnimator
+    capsule.attach(gltf.scene);
+    
+    // parent VRM under capsule and set VRM scale:
+    gltf.scene.scale.setScalar(scale);
+
+    // --- 5) Vertically align: put avatar feet at capsule bottom ---
+    // Capsule is centered at y=0; its bottom is at -(length/2 + radius)
+    const capsuleBottomY = -(length * 0.5 + radius);
+
+    // We measured bbox before reparenting; its min.y is the avatar "feet" in world.
+    // Because the capsule is currently identity at (0,0,0), using that min is fine.
+    const currentFeetY = bbox.min.y;
+
+    // Shift the whole VRM so that its feet touch the capsule bottom:
+    gltf.scene.position.y += (capsuleBottomY - currentFeetY);
+
+    // ensure physics props are correct
+    props.physicsConfig = { ...props.physicsConfig, 
+      shape: 'capsule', 
+      radius: radius,           // Enable3D expects straight section height + radius fields
+      height: length,           // (height here is the straight cylinder section)
+      addChildren: false }
+
+    // create the game object, the scene updates props.vrm every frame
+    return this.create(gameScene, { ...props, object3D: capsule, vrm });
+  }
+
+  /* one template per key, a failed load is dropped so the next call retries */
+  private static loadCached(key: string, load: () => Promise<THREE.Object3D>) {
+    let cached = this.modelCache.get(key);
+    if (!cached) {
+      cached = load().catch((error: any) => {
+        this.modelCache.delete(key);
+        throw error;
+      });
+      this.modelCache.set(key, cached);
     }
+    return cached;
   }
 }
+
+// extras from Blender custom properties are often JSON typed into a string field
+function parseExtra(value: any) {
+  if (typeof value !== 'string' || !/^\s*[[{]/.test(value)) return value;
+  try {
+    return JSON.parse(value);
+  } catch {
+    return value;
+  }
+}
+
+function toList(value: any): string[] {
+  if (typeof value === 'string') return value.split(',').map(v => v.trim()).filter(Boolean);
+  return Array.isArray(value) ? value : [];
+}
+
+// templates share the file's geometry and materials, drop them with it
+assets.on('unloaded', (type, key) => {
+  if (type !== 'model') return;
+  for (const cacheKey of GameObjectFactory.modelCache.keys()) {
+    if (cacheKey.startsWith(`glb:${key}@`)) GameObjectFactory.modelCache.delete(cacheKey);
+  }
+});
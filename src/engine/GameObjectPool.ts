@@ -0,0 +1,131 @@
+// Object pool for game objects that spawn and die often (bullets, debris, splashes)
+import { THREE } from "@enable3d/phaser-extension";
+import * as Types from '@enable3d/common/dist/types.js';
+import { GameObject, GameObjectFactory, IPrefabProps } from "./GameObject";
+import { GameScene } from "./GameScene";
+
+export interface IAcquireProps {
+  position?: Types.XYZ;
+  quaternion?: THREE.Quaternion;
+}
+
+/**
+ * Keeps prefab instances alive in the scene between uses. A released object is hidden, skipped by the
+ * update loop and has its body taken out of the physics world; acquire() puts it back and calls compReset()
+ * on its components instead of rebuilding geometry, materials and bodies.
+ *
+ * `kill()` on a pooled object releases it back to its pool.
+ */
+export class GameObjectPool {
+  gameScene: GameScene;
+  prefab: string;
+  overrides: IPrefabProps;
+  grow: boolean;                    // create more instances when empty instead of returning null
+  all: GameObject[] = [];
+  free: GameObject[] = [];
+  private releasing = new Set<GameObject>();   // bodies to take out of the world at the end of the frame
+  constructor(gameScene: GameScene, prefab: string, size: number, overrides: IPrefabProps = {}, grow = true) {
+    this.gameScene = gameScene;
+    this.prefab = prefab;
+    this.overrides = overrides;
+    this.grow = grow;
+    for (let i = 0; i < size; i++) {
+      const obj = this.create();
+      if (!obj) break;
+      this.release(obj);
+    }
+  }
+
+  get size() {
+    return this.all.length;
+  }
+
+  get available() {
+    return this.free.length;
+  }
+
+  /* take an instance out of the pool, null when empty and not allowed to grow */
+  acquire({ position, quaternion }: IAcquireProps = {}) {
+    const obj = this.free.pop() ?? (this.grow ? this.create() : null);
+    if (!obj) return null;
+    obj.pooled = false;
+    obj.alive = true;
+    obj.props.health = obj.props.maxHealth;
+    obj.invulnerableTime = 0;
+    obj.status.clear();
+    obj.props.object3D.visible = true;
+    this.enableBody(obj);
+    if (position) obj.setWorldPosition(position);
+    if (quaternion) obj.setWorldQuaternion(quaternion);
+    obj.components.forEach((v, k) => k.compReset());
+    obj.emit('acquired', obj);
+    return obj;
+  }
+
+  /* hand an instance back, it stays in the scene but sleeps until acquired again */
+  release(obj: GameObject) {
+    if (obj.pool !== this || obj.pooled) return;
+    obj.pooled = true;
+    obj.alive = false;
+    obj.props.object3D.visible = false;
+    obj.timers.clear();
+    // bodies are only built once the scene adds the object. release often runs inside a collision callback,
+    // where removing a body would break the manifolds Ammo is still walking, so wait for cleanupPendingRemove
+    if (obj.started) this.releasing.add(obj);
+    else obj.once('added', () => { if (obj.pooled) this.disableBody(obj); });
+    this.free.push(obj);
+    obj.emit('released', obj);
+  }
+
+  /* destroy every instance, pooled or in use */
+  destroy() {
+    for (const obj of this.all) {
+      obj.pool = null;
+      obj.pooled = false;
+      if (obj.props) obj.kill();
+    }
+    this.all = [];
+    this.free = [];
+    this.releasing.clear();
+    this.gameScene.pools.delete(this);
+  }
+
+  /* take the bodies of this frame's releases out of the physics world, GameScene calls this with its pending removals */
+  flushReleased() {
+    this.releasing.forEach(obj => obj.pooled && obj.props && this.disableBody(obj));
+    this.releasing.clear();
+  }
+
+  private create() {
+    const obj = GameObjectFactory.createFromPrefab(this.gameScene, this.prefab, this.overrides);
+    if (!obj) {
+      console.warn(`GameObjectPool: prefab '${this.prefab}' loads a model, it can't be pooled`);
+      return null;
+    }
+    obj.pool = this;
+    this.all.push(obj);
+    return obj;
+  }
+
+  /* back in the world, or never left it when released and acquired in the same frame */
+  private enableBody(obj: GameObject) {
+    this.releasing.delete(obj);
+    const object3D = obj.props.object3D;
+    if (!object3D.hasBody) return;
+    if (obj.bodyDisabled) {
+      const { collisionGroup = 1, collisionMask = -1 } = obj.props.physicsConfig ?? {};
+      this.gameScene.third.physics.physicsWorld.addRigidBody(object3D.body.ammo, collisionGroup, collisionMask);
+      obj.bodyDisabled = false;
+    }
+    object3D.body.setVelocity(0, 0, 0);
+    object3D.body.setAngularVelocity(0, 0, 0);
+    object3D.body.ammo.activate();
+  }
+
+  private disableBody(obj: GameObject) {
+    const object3D = obj.props.object3D;
+    if (!object3D.hasBody || obj.bodyDisabled) return;
+    this.gameScene.third.physics.physicsWorld.removeRigidBody(object3D.body.ammo);
+    obj.bodyDisabled = true;
+  }
+}
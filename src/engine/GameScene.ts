@@ -1,8 +1,28 @@
 import { Scene3D, THREE } from "@enable3d/phaser-extension";
 import { PostFXManager } from './PostFxManager.js'
-import { GameObject, ICompProps, GameObjectComponent, GameObjectFactory } from "./GameObject.js";
+import { GameObject, ICompProps, GameObjectComponent, GameObjectFactory, ComponentClass, CompPhase } from "./GameObject.js";
 import { updateListener } from './AudioManager.js';
 import { tweensEasing } from "./Utils.js";
+import { ISerializedLevel, LEVEL_VERSION } from "./Serialize.js";
+import { ICollisionContact } from "./GameObject.js";
+import { GameObjectPool } from "./GameObjectPool.js";
+import { SpatialQuery } from "./SpatialQuery.js";
+import { VRMUtils } from "@pixiv/three-vrm";
+import { assets } from "./AssetManager.js";
+import { buildCollider, setColliderDebug } from "./Colliders.js";
+import { actions } from "./InputActions.js";
+import { CameraEffects } from "./CameraEffects.js";
+import { Viewports } from "./Viewports.js";
+
+// an interpolated object's pose before and after the last fixed step, and what was drawn between them
+interface IFixedPose {
+  previous: THREE.Vector3;
+  previousQuaternion: THREE.Quaternion;
+  current: THREE.Vector3;
+  currentQuaternion: THREE.Quaternion;
+  shown: THREE.Vector3;
+  shownQuaternion: THREE.Quaternion;
+}
 
 /**
  * Represents the main game scene, extending Scene3D to provide 3D capabilities.
@@ -16,9 +36,23 @@ export class GameScene extends Scene3D {
   pendingAdd: Set<any> = new Set();
   pendingRemove: Set<any> = new Set();
   groupManager: Map<string, Set<GameObject>> = new Map();
+  pools: Set<GameObjectPool> = new Set();
+  query: SpatialQuery = null as any;
+  cameraEffects: CameraEffects = null as any;   // shake, FOV punch, roll and rails on top of the camera controller
+  viewports: Viewports = null as any;           // secondary cameras: split-screen, picture-in-picture, render-to-texture
+  bundles: string[] = [];         // asset bundles held while the scene runs, see AssetManager
   tweensEasing: any;
   active: boolean = false;
+  collidersVisible: boolean = false;  // wireframes of colliders made by physicsConfig.collider, see showColliders
+  fixedDt: number = 1 / 60;       // simulation step in seconds
+  maxFixedSteps: number = 5;      // cap per frame so a long hitch can't snowball
+  fixedAlpha: number = 0;         // 0..1 progress into the next fixed step, objects with `interpolate` are drawn that far along
+  private fixedAccumulator: number = 0;
+  private fixedPoses: Map<GameObject, IFixedPose> = new Map();
   private thirdSnapshot: Scene3D["third"] | null = null;
+  private componentOrder: GameObjectComponent[] = [];
+  private componentOrderDirty: boolean = true;
+  private objectLookup: WeakMap<THREE.Object3D, GameObject> = new WeakMap();
   constructor(sceneName: string) {
     super({ key: sceneName });
   }
@@ -27,15 +61,17 @@ export class GameScene extends Scene3D {
     this.accessThirdDimension();
     this.thirdSnapshot = this.third;
     this.fx = new PostFXManager(this);  // our custom postprocessing manager
+    this.viewports = new Viewports(this);
     this.tweensEasing = tweensEasing;
+    this.query = new SpatialQuery(this);
+    this.cameraEffects = new CameraEffects(this);
     this.active = true;
-    
-    // on click pointer lock
-    // this.input.on('pointerdown', () => {
-    //   if (!this.input.mouse?.locked) {
-    //     this.input.mouse?.requestPointerLock();
-    //   }
-    // }, false);
+    // already in memory if the scene came through PreloaderScene, loads in the background otherwise
+    assets.game = this.game;
+    if (this.bundles.length) assets.acquire(this.bundles, this.scene.key);
+    actions.attach();
+    this.third.physics?.collisionEvents?.on('collision', this.onCollision);
+    // pointer lock is requested and released by CompCamera, depending on its mode
   }
   
   /* override */
@@ -50,53 +86,275 @@ export class GameScene extends Scene3D {
   }
 
   removeAllGameObjects() {
+    this.pools.forEach(pool => pool.destroy());
     this.gameObjects.forEach((obj: GameObject) => obj.kill());
   }
 
+  /* draw the fitted shapes of every physicsConfig.collider body, physics.debug shows what Ammo actually has */
+  showColliders(visible = true) {
+    this.collidersVisible = visible;
+    this.gameObjects.forEach((obj: GameObject) => setColliderDebug(obj.props.object3D, visible));
+  }
+
   removeAllFromGroup(group: string) {
     this.groupManager.get(group)?.forEach((obj: GameObject) => obj.kill());
   }
 
+  /* game object owning an object3D, if any */
+  getGameObject(object3D: THREE.Object3D) {
+    return this.objectLookup.get(object3D);
+  }
+
+  /* send an event to every live game object and to scene listeners (this.events) */
+  broadcast(event: string, ...args: any[]) {
+    this.events.emit(event, ...args);
+    for (const obj of this.gameObjects) {
+      if (obj.alive) obj.emit(event, ...args);
+    }
+  }
+
+  /* enable3d reports each pair once, hand it to both sides */
+  private onCollision = ({ bodies, event }: { bodies: any[], event: string }) => {
+    const [a, b] = bodies;
+    const objA = this.objectLookup.get(a);
+    const objB = this.objectLookup.get(b);
+    if (!objA && !objB) return;
+    // the newest impact on a body is the one for this pair, exit events carry none
+    const impact = event === 'end' ? undefined : a.body?.impact?.at(-1);
+    const contact = { point: impact?.point, normal: impact?.normal, impulse: impact?.impulse };
+    objA?.handleCollision(event, objB ?? null, { ...contact, object3D: b } as ICollisionContact);
+    objB?.handleCollision(event, objA ?? null, { ...contact, object3D: a } as ICollisionContact);
+  }
+
+  // --- Levels ----------------------------------------------------------------
+
+  /* snapshot every live game object as a JSON-ready level, pooled spawns are runtime only and left out */
+  serialize(): ISerializedLevel {
+    const objects = [];
+    for (const obj of [...this.gameObjects, ...this.pendingAdd]) {
+      if (obj.alive && !obj.pool) objects.push(obj.serialize());
+    }
+    return { version: LEVEL_VERSION, objects };
+  }
+
+  /**
+   * Build game objects from a level made by serialize().
+   * Replaces the current objects unless `clear` is false. `componentProps` supplies values that can't
+   * live in a file, keyed by registered component name, e.g. `{ CompWeather: { lights } }`.
+   * Resolves once every model has loaded; objects that fail are warned about and left out.
+   */
+  async loadLevel(level: ISerializedLevel | string, { clear = true, componentProps = {} }: { clear?: boolean, componentProps?: Record<string, Record<string, any>> } = {}): Promise<GameObject[]> {
+    const data: ISerializedLevel = typeof level === 'string' ? JSON.parse(level) : level;
+    if (data.version !== LEVEL_VERSION) console.warn(`loadLevel: level version ${data.version}, expected ${LEVEL_VERSION}`);
+    if (clear) {
+      this.pools.forEach(pool => pool.destroy());
+      [...this.gameObjects, ...this.pendingAdd].forEach((obj: GameObject) => obj.kill());
+    }
+    // objects without models are created right away, models resolve as they load
+    const results = await Promise.allSettled(data.objects.map(objData => GameObjectFactory.deserialize(this, objData, componentProps)));
+    const created: GameObject[] = [];
+    results.forEach((result, i) => {
+      if (result.status === 'fulfilled') created.push(result.value);
+      else console.warn(`loadLevel: '${data.objects[i].name}' failed to load`, result.reason);
+    });
+    return created;
+  }
+
+  /* first component of the given class on any game object, including ones waiting to be added */
+  findComponent<T extends GameObjectComponent>(component: ComponentClass<T>): T | undefined {
+    for (const obj of [...this.gameObjects, ...this.pendingAdd]) {
+      const comp = obj.alive ? obj.getComponent(component) : undefined;
+      if (comp) return comp;
+    }
+    return undefined;
+  }
+
+  findComponents<T extends GameObjectComponent>(component: ComponentClass<T>): T[] {
+    const found: T[] = [];
+    for (const obj of [...this.gameObjects, ...this.pendingAdd]) {
+      if (obj.alive) found.push(...obj.getComponents(component));
+    }
+    return found;
+  }
+
   update(time: number, delta: number) {
     if (!this.active) return;
     const ts = time;
     const dt = delta / 1000;
+    // once per frame for the whole game, before anything reads an action
+    actions.update(ts, dt);
+    // controllers work from the pose they left, not last frame's shake or interpolation
+    this.cameraEffects.restore();
+    this.restoreFixedPoses();
     this.fx.update(ts, dt);
-    updateListener(this.third.camera);
+    this.viewports.update(ts, dt);
     this.preUpdate(ts, dt);
     this.cleanupPendingAdd();
     for (const obj of this.gameObjects) {
+      if (obj.pooled) continue;
       obj.update(ts, dt);
+      obj.updateStatus(dt);
+      // same clock as time.delayedCall, so timers follow its pause and timeScale
+      obj.timers.update(dt * this.time.timeScale);
+    }
+    // input -> movement -> physics -> camera, by phase then by component priority
+    this.runPhase('compEarlyUpdate', dt);
+    this.stepFixed(dt);
+    this.runPhase('compUpdate', dt);
+    this.runPhase('compLateUpdate', dt);
+    this.cameraEffects.update(dt);
+    // spring bones, expressions and lookAt settle once animation and the camera are done
+    for (const obj of this.gameObjects) {
+      if (obj.alive && obj.props.vrm) obj.props.vrm.update(dt);
+    }
+    this.query.update();
+    // listener follows the camera once it has settled for this frame
+    updateListener(this.third.camera);
+    for (const obj of this.gameObjects) {
       if (obj.props.object3D.hasBody) obj.props.object3D.body.needUpdate = true;
-      if (obj.components) obj.components.forEach((v: ICompProps, k: GameObjectComponent) => k.compUpdate?.(dt));
-      if (!obj.alive) this.pendingRemove.add(obj);
+      if (!obj.alive && !obj.pooled) this.pendingRemove.add(obj);
     }
     this.cleanupPendingRemove();
     this.postUpdate(ts, dt);
   }
 
+  /* run compFixedUpdate as many whole fixedDt steps as the frame time covers */
+  private stepFixed(dt: number) {
+    this.fixedAccumulator += dt;
+    let steps = 0;
+    while (this.fixedAccumulator >= this.fixedDt && steps < this.maxFixedSteps) {
+      this.saveFixedPoses();
+      this.runPhase('compFixedUpdate', this.fixedDt);
+      this.fixedAccumulator -= this.fixedDt;
+      steps++;
+    }
+    // fell behind, drop the backlog instead of catching up next frame
+    if (steps === this.maxFixedSteps) this.fixedAccumulator = Math.min(this.fixedAccumulator, this.fixedDt);
+    this.fixedAlpha = this.fixedAccumulator / this.fixedDt;
+    this.showFixedPoses();
+  }
+
+  /* pose of every `interpolate` object before a step */
+  private saveFixedPoses() {
+    for (const obj of this.gameObjects) {
+      if (!obj.interpolate || !obj.alive || obj.pooled) continue;
+      let pose = this.fixedPoses.get(obj);
+      if (!pose) {
+        pose = {
+          previous: new THREE.Vector3(), previousQuaternion: new THREE.Quaternion(),
+          current: new THREE.Vector3(), currentQuaternion: new THREE.Quaternion(),
+          shown: new THREE.Vector3(), shownQuaternion: new THREE.Quaternion(),
+        };
+        this.fixedPoses.set(obj, pose);
+      }
+      pose.previous.copy(obj.props.object3D.position);
+      pose.previousQuaternion.copy(obj.props.object3D.quaternion);
+    }
+  }
+
+  /* draw them fixedAlpha of the way from the step before last to the last one, the camera follows that */
+  private showFixedPoses() {
+    for (const [obj, pose] of this.fixedPoses) {
+      if (!obj.interpolate || !obj.alive || obj.pooled) {
+        this.fixedPoses.delete(obj);
+        continue;
+      }
+      const object3D = obj.props.object3D;
+      pose.current.copy(object3D.position);
+      pose.currentQuaternion.copy(object3D.quaternion);
+      object3D.position.lerpVectors(pose.previous, pose.current, this.fixedAlpha);
+      object3D.quaternion.slerpQuaternions(pose.previousQuaternion, pose.currentQuaternion, this.fixedAlpha);
+      pose.shown.copy(object3D.position);
+      pose.shownQuaternion.copy(object3D.quaternion);
+    }
+  }
+
+  /* back to the stepped pose before the next frame runs. Whatever was changed since (a teleport, CompCamera
+   * turning the object) is kept and not blended from */
+  private restoreFixedPoses() {
+    for (const [obj, pose] of this.fixedPoses) {
+      if (!obj.alive || obj.pooled) continue;
+      const object3D = obj.props.object3D;
+      if (object3D.position.equals(pose.shown)) object3D.position.copy(pose.current);
+      else pose.previous.copy(object3D.position);
+      if (object3D.quaternion.equals(pose.shownQuaternion)) object3D.quaternion.copy(pose.currentQuaternion);
+      else pose.previousQuaternion.copy(object3D.quaternion);
+    }
+  }
+
+  /* call one update phase on every live component, in priority order */
+  runPhase(phase: CompPhase, dt: number) {
+    for (const comp of this.getComponentOrder()) {
+      if (comp.parent.alive && comp.parent.components.has(comp)) comp[phase](dt);
+    }
+  }
+
+  markComponentOrderDirty() {
+    this.componentOrderDirty = true;
+  }
+
+  /* all started components sorted by class priority, insertion order breaks ties */
+  private getComponentOrder() {
+    if (this.componentOrderDirty) {
+      this.componentOrder = [];
+      for (const obj of this.gameObjects) {
+        obj.components.forEach((v: ICompProps, k: GameObjectComponent) => this.componentOrder.push(k));
+      }
+      const priority = (comp: GameObjectComponent) => (comp.constructor as typeof GameObjectComponent).priority;
+      this.componentOrder.sort((a, b) => priority(a) - priority(b));
+      this.componentOrderDirty = false;
+    }
+    return this.componentOrder;
+  }
+
   cleanupPendingAdd() {
         while (this.pendingAdd.size) {
       const obj: GameObject = Array.from(this.pendingAdd)[0];
       obj.preAdd();
       this.gameObjects.add(obj);
+      this.objectLookup.set(obj.props.object3D, obj);
       obj.props.groups.forEach((group: string) => {
         if (!this.groupManager.has(group)) {
           this.groupManager.set(group, new Set());
         }
         this.groupManager.get(group)?.add(obj);
       });
-      this.third.add.existing(obj.props.object3D);
-      if (obj.props.physicsConfig)
-        this.third.physics.add.existing(obj.props.object3D, obj.props.physicsConfig);
+      // attached children already live under their parent's object3D
+      if (!obj.parentObject) this.third.add.existing(obj.props.object3D);
+      if (obj.props.physicsConfig) this.addBody(obj);
+      obj.resolveDependencies();
       obj.start()
       if (obj.components) obj.components.forEach((v: ICompProps, k: GameObjectComponent) => k.compStart?.());
+      // measured once compStart has built any meshes
+      this.query.insert(obj);
+      obj.started = true;
       this.pendingAdd.delete(obj);
+      this.markComponentOrderDirty();
       obj.postAdd();
+      obj.emit('added', obj);
+    }
+  }
+
+  private addBody(obj: GameObject) {
+    // child game objects bring their own bodies, keep them out of a generated parent shape
+    const attached = Array.from(obj.children, (child: GameObject) => {
+      const node = child.props.object3D.parent;
+      child.props.object3D.removeFromParent();
+      return { object3D: child.props.object3D, node };
+    });
+    if (obj.props.physicsConfig.collider) {
+      buildCollider(this.third.physics, obj.props.object3D, obj.props.physicsConfig);
+      if (this.collidersVisible) setColliderDebug(obj.props.object3D, true);
+    } else {
+      this.third.physics.add.existing(obj.props.object3D, obj.props.physicsConfig);
     }
+    attached.forEach(({ object3D, node }) => node?.add(object3D));
+    obj.syncAttachedBody();
+    obj.refreshCollisionEvents();
   }
 
   cleanupPendingRemove() {
+    this.pools.forEach(pool => pool.flushReleased());
     while (this.pendingRemove.size) {
       const obj: GameObject = Array.from(this.pendingRemove)[0];
       obj.preRemove();
@@ -105,9 +363,21 @@ export class GameScene extends Scene3D {
       });
       if (obj.components) obj.components.forEach((v: ICompProps, k: GameObjectComponent) => k.compDestroy?.());
       obj.components.clear();
+      obj.timers.clear();
       this.pendingRemove.delete(obj);
       this.gameObjects.delete(obj);
+      this.markComponentOrderDirty();
+      obj.parentObject?.children.delete(obj);
+      obj.parentObject = null;
+      obj.children.clear();
+      this.objectLookup.delete(obj.props.object3D);
+      this.query.remove(obj);
+      this.fixedPoses.delete(obj);
       this.third.destroy(obj.props.object3D);
+      if (obj.props.vrm) VRMUtils.deepDispose(obj.props.vrm.scene);
+      obj.props.object3D.removeFromParent();
+      obj.emit('removed', obj);
+      obj.events.off();
       obj.props = null as any;
       obj.postRemove();
     }
@@ -120,14 +390,20 @@ export class GameScene extends Scene3D {
   // scene shutdown
   shutdown() {
     this.active = false;
+    this.third?.physics?.collisionEvents?.off('collision', this.onCollision);
     this.removeAllGameObjects();
     this.cleanupPendingRemove();
     this.gameObjects.clear();
     this.pendingAdd.clear();
     this.pendingRemove.clear();
     this.groupManager.clear();
+    this.componentOrder = [];
+    this.fixedAccumulator = 0;
+    this.fixedPoses.clear();
+    this.query?.clear();
     this.fx?.destroy?.();
     this.fx = null as any;
+    assets.release(this.scene.key);
     this.disposeThirdDimension();
   }
 
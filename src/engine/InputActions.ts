@@ -0,0 +1,385 @@
+// Input actions: named buttons, axes and vectors bound to keyboard, mouse and gamepad controls, rebindable and saved
+import { THREE } from "@enable3d/phaser-extension";
+import { EventEmitter } from "./Events";
+
+/**
+ * Controls are strings: 'Key:<KeyboardEvent.code>' ('Key:KeyW', 'Key:Space'), 'Mouse:0..2' for buttons,
+ * 'Pad:<button>' (PAD_BUTTONS names, value 0..1) and 'Pad:LeftX' / 'LeftY' / 'RightX' / 'RightY' for sticks.
+ * Anything else is a virtual control fed through setControl (on-screen buttons, scripted input), or through
+ * addDelta for movement that adds up between frames like 'Mouse:Delta' and TouchControls' 'Touch:Look'.
+ */
+export type Control = string;
+
+export interface ICompositeBinding { up: Control; down: Control; left: Control; right: Control }
+export interface IStickBinding {
+  x: Control;
+  y: Control;
+  invertY?: boolean;    // sticks report up as -1
+  rate?: number;        // turns a -1..1 stick into a per-frame delta (value * rate * dt), to sit next to mouse deltas
+}
+export interface IAxisBinding { negative: Control; positive: Control }
+export type Binding = Control | ICompositeBinding | IStickBinding | IAxisBinding;
+
+export type ActionType = 'button' | 'axis' | 'vector';
+
+export interface IActionDef {
+  type: ActionType;
+  bindings: Binding[];
+}
+
+export type InputEvents = {
+  pressed: (action: string) => void;
+  released: (action: string) => void;
+  rebound: (action: string, bindings: Binding[]) => void;
+}
+
+// standard gamepad mapping
+export const PAD_BUTTONS: Record<string, number> = {
+  A: 0, B: 1, X: 2, Y: 3, LB: 4, RB: 5, LT: 6, RT: 7, Back: 8, Start: 9, LS: 10, RS: 11, Up: 12, Down: 13, Left: 14, Right: 15
+};
+
+export const DEFAULT_ACTIONS: Record<string, IActionDef> = {
+  move: { type: 'vector', bindings: [
+    { up: 'Key:KeyW', down: 'Key:KeyS', left: 'Key:KeyA', right: 'Key:KeyD' },
+    { up: 'Key:ArrowUp', down: 'Key:ArrowDown', left: 'Key:ArrowLeft', right: 'Key:ArrowRight' },
+    { x: 'Pad:LeftX', y: 'Pad:LeftY', invertY: true },
+    { x: 'Touch:MoveX', y: 'Touch:MoveY', invertY: true },
+  ] },
+  // in mouse pixels this frame, right and down positive
+  look: { type: 'vector', bindings: ['Mouse:Delta', 'Touch:Look', { x: 'Pad:RightX', y: 'Pad:RightY', rate: 800 }] },
+  // wheel pixels this frame, y positive pulls the camera back
+  zoom: { type: 'vector', bindings: ['Mouse:Wheel'] },
+  fly: { type: 'axis', bindings: [{ negative: 'Key:KeyQ', positive: 'Key:KeyE' }, { negative: 'Pad:LB', positive: 'Pad:RB' }] },
+  jump: { type: 'button', bindings: ['Key:Space', 'Pad:A', 'Touch:jump'] },
+  interact: { type: 'button', bindings: ['Key:KeyE', 'Pad:X', 'Touch:interact'] },
+  toggleFly: { type: 'button', bindings: ['Key:ShiftLeft', 'Key:ShiftRight', 'Pad:Y', 'Touch:toggleFly'] },
+  switchCamera: { type: 'button', bindings: ['Key:KeyV', 'Pad:RS'] },
+};
+
+const STORAGE_KEY = 'inputBindings';
+const PRESS_THRESHOLD = 0.5;
+const ZERO = new THREE.Vector2();
+
+/**
+ * One set of actions for the whole game, updated by GameScene at the start of every frame. Read state with
+ * `isDown` / `wasPressed` / `axis` / `vector`, or listen for `pressed` and `released` (safe from fixed steps,
+ * which can run zero or several times a frame). Bindings changed at runtime are saved to localStorage.
+ *
+ * @example
+ * const move = actions.vector('move');          // x right, y forward, length <= 1
+ * actions.on('pressed', a => a === 'jump' && this.jump(), this);
+ * actions.setBinding('jump', 0, await actions.captureControl());
+ */
+export class InputActions extends EventEmitter<InputEvents> {
+  stickDeadZone = 0.15;     // radial, the rest of the range is rescaled to 0..1
+  triggerDeadZone = 0.05;
+  private defs = new Map<string, IActionDef>();
+  private ensured = new Map<string, string[]>();   // action -> JSON of bindings ensureBinding added, never saved
+  private values = new Map<Control, number>();
+  private down = new Set<string>();
+  private pressedNow = new Set<string>();
+  private releasedNow = new Set<string>();
+  private vectors = new Map<string, THREE.Vector2>();
+  private deltas = new Map<Control, THREE.Vector2>();        // movement since the last update
+  private frameDeltas = new Map<Control, THREE.Vector2>();   // movement of the frame being read
+  private lastTime = -1;
+  private attached = false;
+  private capture: ((control: Control | null) => void) | null = null;
+  private swallowed = new Set<Control>();                   // pad buttons taken by captureControl, ignored until let go
+
+  constructor() {
+    super();
+    for (const name in DEFAULT_ACTIONS) this.define(name, DEFAULT_ACTIONS[name].type, DEFAULT_ACTIONS[name].bindings);
+  }
+
+  /* add an action (or replace its defaults), saved bindings for it win */
+  define(name: string, type: ActionType, bindings: Binding[]) {
+    this.defs.set(name, { type, bindings: this.loadSaved()[name] ?? bindings });
+  }
+
+  // --- State -----------------------------------------------------------------
+
+  isDown(action: string) {
+    return this.down.has(action);
+  }
+
+  /* went down this frame */
+  wasPressed(action: string) {
+    return this.pressedNow.has(action);
+  }
+
+  wasReleased(action: string) {
+    return this.releasedNow.has(action);
+  }
+
+  /* -1..1 for axis actions, 0 or 1 for buttons */
+  axis(action: string) {
+    const def = this.defs.get(action);
+    if (!def) return 0;
+    let value = 0;
+    for (const binding of def.bindings) {
+      if (typeof binding === 'string') value += this.value(binding);
+      else if ('negative' in binding) value += this.value(binding.positive) - this.value(binding.negative);
+    }
+    return THREE.MathUtils.clamp(value, -1, 1);
+  }
+
+  /* vector actions, shared per frame so don't keep the result */
+  vector(action: string) {
+    return this.vectors.get(action) ?? this.vectors.set(action, new THREE.Vector2()).get(action)!;
+  }
+
+  /* raw value of one control, 0 when released */
+  value(control: Control) {
+    return this.values.get(control) ?? 0;
+  }
+
+  /* raw movement of one delta control this frame, e.g. to tell the mouse from the other 'look' bindings */
+  delta(control: Control): THREE.Vector2 {
+    return this.frameDeltas.get(control) ?? ZERO;
+  }
+
+  /* feed a control that isn't a key, mouse button or gamepad, e.g. an on-screen joystick */
+  setControl(control: Control, value: number) {
+    if (value) this.values.set(control, value);
+    else this.values.delete(control);
+  }
+
+  /* feed movement that adds up until the next frame reads it, e.g. a drag */
+  addDelta(control: Control, x: number, y: number) {
+    const delta = this.deltas.get(control) ?? this.deltas.set(control, new THREE.Vector2()).get(control)!;
+    delta.x += x;
+    delta.y += y;
+  }
+
+  // --- Bindings --------------------------------------------------------------
+
+  getBindings(action: string) {
+    return this.defs.get(action)?.bindings ?? [];
+  }
+
+  setBindings(action: string, bindings: Binding[]) {
+    const def = this.defs.get(action);
+    if (!def) {
+      console.warn(`InputActions: unknown action '${action}'`);
+      return;
+    }
+    def.bindings = this.withEnsured(action, bindings);
+    this.save();
+    this.emit('rebound', action, def.bindings);
+  }
+
+  /* replace one binding, or one direction of a composite one: setBinding('move', 0, 'Key:KeyZ', 'up') */
+  setBinding(action: string, index: number, control: Control, part?: string) {
+    const bindings = [...this.getBindings(action)];
+    const current = bindings[index];
+    bindings[index] = part && current && typeof current === 'object' ? { ...current, [part]: control } as Binding : control;
+    this.setBindings(action, bindings);
+  }
+
+  /* add a binding to an action unless it already has it, not saved: for controls that come and go like TouchControls */
+  ensureBinding(action: string, binding: Binding) {
+    const def = this.defs.get(action);
+    if (!def) {
+      console.warn(`InputActions: unknown action '${action}'`);
+      return;
+    }
+    const json = JSON.stringify(binding);
+    if (def.bindings.some(b => JSON.stringify(b) === json)) return;
+    def.bindings = [...def.bindings, binding];
+    this.ensured.set(action, [...(this.ensured.get(action) ?? []), json]);
+  }
+
+  /* resolves with the next key, mouse button or gamepad button pressed, null if Escape cancels */
+  captureControl(): Promise<Control | null> {
+    this.capture?.(null);
+    return new Promise(resolve => this.capture = resolve);
+  }
+
+  resetBindings(action?: string) {
+    const names = action ? [action] : Object.keys(DEFAULT_ACTIONS);
+    for (const name of names) {
+      const def = this.defs.get(name);
+      if (def && DEFAULT_ACTIONS[name]) def.bindings = this.withEnsured(name, DEFAULT_ACTIONS[name].bindings);
+    }
+    this.save();
+    names.forEach(name => this.emit('rebound', name, this.getBindings(name)));
+  }
+
+  // --- Frame -----------------------------------------------------------------
+
+  /* start listening to the window, GameScene does this on init */
+  attach() {
+    if (this.attached || typeof window === 'undefined') return;
+    this.attached = true;
+    window.addEventListener('keydown', this.onKeyDown);
+    window.addEventListener('keyup', this.onKeyUp);
+    window.addEventListener('mousedown', this.onMouseDown);
+    window.addEventListener('mouseup', this.onMouseUp);
+    window.addEventListener('mousemove', this.onMouseMove);
+    window.addEventListener('wheel', this.onWheel, { passive: true });
+    window.addEventListener('blur', this.onBlur);
+  }
+
+  /* poll gamepads and work out this frame's actions, runs once per frame however many scenes call it */
+  update(time: number, dt: number) {
+    if (time === this.lastTime) return;
+    this.lastTime = time;
+    this.pollGamepad();
+    this.frameDeltas.forEach(delta => delta.set(0, 0));
+    this.deltas.forEach((delta, control) => {
+      (this.frameDeltas.get(control) ?? this.frameDeltas.set(control, new THREE.Vector2()).get(control)!).copy(delta);
+      delta.set(0, 0);
+    });
+    this.pressedNow.clear();
+    this.releasedNow.clear();
+    this.defs.forEach((def, name) => {
+      if (def.type === 'vector') {
+        this.readVector(def, dt, this.vector(name));
+        return;
+      }
+      const isDown = Math.abs(this.axis(name)) > PRESS_THRESHOLD;
+      if (isDown === this.down.has(name)) return;
+      if (isDown) {
+        this.down.add(name);
+        this.pressedNow.add(name);
+        this.emit('pressed', name);
+      } else {
+        this.down.delete(name);
+        this.releasedNow.add(name);
+        this.emit('released', name);
+      }
+    });
+  }
+
+  private readVector(def: IActionDef, dt: number, out: THREE.Vector2) {
+    out.set(0, 0);
+    let isDelta = false;
+    for (const binding of def.bindings) {
+      if (typeof binding === 'string') {
+        const delta = this.frameDeltas.get(binding);
+        if (delta) out.add(delta);
+        isDelta = true;
+      } else if (typeof binding === 'object' && 'up' in binding) {
+        out.x += this.value(binding.right) - this.value(binding.left);
+        out.y += this.value(binding.up) - this.value(binding.down);
+      } else if (typeof binding === 'object' && 'x' in binding) {
+        const scale = binding.rate ? binding.rate * dt : 1;
+        isDelta ||= !!binding.rate;
+        out.x += this.value(binding.x) * scale;
+        out.y += this.value(binding.y) * (binding.invertY ? -scale : scale);
+      }
+    }
+    // movement style vectors never go past full tilt, diagonals included
+    if (!isDelta) out.clampLength(0, 1);
+  }
+
+  private pollGamepad() {
+    const pad = Array.from(navigator.getGamepads?.() ?? []).find(p => p?.connected);
+    for (const name in PAD_BUTTONS) {
+      const button = pad?.buttons[PAD_BUTTONS[name]];
+      const value = button ? (button.value > this.triggerDeadZone ? button.value : button.pressed ? 1 : 0) : 0;
+      const control = `Pad:${name}`;
+      // polled, so a captured button would read as a fresh press next frame: keep it away from the game until released
+      if (this.swallowed.has(control)) {
+        if (!value) this.swallowed.delete(control);
+        continue;
+      }
+      if (value && !this.values.get(control) && this.captured(control)) {
+        this.swallowed.add(control);
+        continue;
+      }
+      this.setControl(control, value);
+    }
+    this.setStick('Left', pad?.axes[0] ?? 0, pad?.axes[1] ?? 0);
+    this.setStick('Right', pad?.axes[2] ?? 0, pad?.axes[3] ?? 0);
+  }
+
+  private setStick(side: string, x: number, y: number) {
+    const length = Math.hypot(x, y);
+    const scale = length <= this.stickDeadZone ? 0 : Math.min(1, (length - this.stickDeadZone) / (1 - this.stickDeadZone)) / length;
+    this.setControl(`Pad:${side}X`, x * scale);
+    this.setControl(`Pad:${side}Y`, y * scale);
+  }
+
+  /* hand a fresh press to captureControl instead of the game, true if it was taken */
+  private captured(control: Control) {
+    if (!this.capture) return false;
+    const resolve = this.capture;
+    this.capture = null;
+    resolve(control === 'Key:Escape' ? null : control);
+    return true;
+  }
+
+  private onKeyDown = (event: KeyboardEvent) => {
+    if (event.repeat) return;
+    if (this.captured(`Key:${event.code}`)) {
+      event.preventDefault();
+      return;
+    }
+    this.setControl(`Key:${event.code}`, 1);
+  }
+
+  private onKeyUp = (event: KeyboardEvent) => {
+    this.setControl(`Key:${event.code}`, 0);
+  }
+
+  private onMouseDown = (event: MouseEvent) => {
+    if (this.captured(`Mouse:${event.button}`)) return;
+    this.setControl(`Mouse:${event.button}`, 1);
+  }
+
+  private onMouseUp = (event: MouseEvent) => {
+    this.setControl(`Mouse:${event.button}`, 0);
+  }
+
+  private onMouseMove = (event: MouseEvent) => {
+    this.addDelta('Mouse:Delta', event.movementX, event.movementY);
+  }
+
+  // line and page scrolling (Firefox) in pixels, like everyone else
+  private onWheel = (event: WheelEvent) => {
+    const scale = event.deltaMode === 1 ? 33 : event.deltaMode === 2 ? 600 : 1;
+    this.addDelta('Mouse:Wheel', event.deltaX * scale, event.deltaY * scale);
+  }
+
+  // keys released while the tab was away never send keyup
+  private onBlur = () => {
+    for (const control of [...this.values.keys()]) {
+      if (control.startsWith('Key:') || control.startsWith('Mouse:')) this.values.delete(control);
+    }
+  }
+
+  // --- Storage ---------------------------------------------------------------
+
+  /* rebinding keeps the ensured controls, a custom touch button shouldn't die with a key change */
+  private withEnsured(action: string, bindings: Binding[]) {
+    const missing = (this.ensured.get(action) ?? []).filter(json => !bindings.some(b => JSON.stringify(b) === json));
+    return missing.length ? [...bindings, ...missing.map(json => JSON.parse(json) as Binding)] : bindings;
+  }
+
+  private save() {
+    const changed: Record<string, Binding[]> = {};
+    this.defs.forEach((def, name) => {
+      const ensured = this.ensured.get(name) ?? [];
+      const bindings = def.bindings.filter(b => !ensured.includes(JSON.stringify(b)));
+      if (JSON.stringify(bindings) !== JSON.stringify(DEFAULT_ACTIONS[name]?.bindings)) changed[name] = bindings;
+    });
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(changed));
+    } catch {
+      // private browsing or storage disabled, bindings last until reload
+    }
+  }
+
+  private loadSaved(): Record<string, Binding[]> {
+    try {
+      return JSON.parse(localStorage.getItem(STORAGE_KEY) ?? '{}') ?? {};
+    } catch {
+      return {};
+    }
+  }
+}
+
+// one set of actions for the game, scenes come and go around it
+export const actions = new InputActions();
@@ -41,6 +41,8 @@ import { RenderTransitionPass } from 'three/addons/postprocessing/RenderTransiti
  * fx.tween('bloom', { strength: 1.0 }, 500);
  * 
  * @param {Phaser.Scene} scene - The Phaser scene containing the `third` property with THREE.js renderer, scene, and camera.
+ * @param {{ camera: THREE.Camera, composer: EffectComposer, scene?: THREE.Scene } | null} view - A secondary camera and its own composer (see Viewports).
+ *   Leaves the renderer settings, canvas size and the scene's resize event to the main manager.
  * 
  * @property {THREE.Scene} scene - The THREE.js scene.
  * @property {THREE.Camera} camera - The THREE.js camera.
@@ -80,17 +82,29 @@ import { RenderTransitionPass } from 'three/addons/postprocessing/RenderTransiti
  * @method useAfterImage(name, params, options) - Add an Afterimage pass.
  */
 export class PostFXManager {
-  constructor (scene) {
-    if (!scene.third?.composer)
+  /**
+   * @param {any} scene
+   * @param {{ camera: THREE.Camera, composer: EffectComposer, scene?: THREE.Scene } | null} [view]
+   */
+  constructor (scene, view = null) {
+    if (!view && !scene.third?.composer)
       scene.third.composer = new EffectComposer(scene.third.renderer)
     if (!scene.third?.renderer || !scene.third?.scene || !scene.third?.camera) throw new Error('Missing renderer/scene/camera')
 
     this.scene3d = scene
     const third = scene.third
-    this.composer = third.composer
+    this.composer = view ? view.composer : third.composer
     this.renderer = third.renderer
-    this.scene = third.scene
-    this.camera = third.camera
+    this.scene = view?.scene ?? third.scene
+    this.camera = view ? view.camera : third.camera
+    this.main = !view
+    this._passes = new Map() // name -> { pass, onUpdate?, onResize? }
+    this._order = []         // names after RenderPass in order
+
+    if (view) {
+      this.composer.addPass(new RenderPass(this.scene, this.camera))
+      return
+    }
 
     this.renderer.toneMapping = THREE.ACESFilmicToneMapping;
     this.renderer.toneMappingExposure = 0.5;
@@ -104,9 +118,6 @@ export class PostFXManager {
       this.composer.addPass(new RenderPass(this.scene, this.camera))
     }
 
-    this._passes = new Map() // name -> { pass, onUpdate?, onResize? }
-    this._order = []         // names after RenderPass in order
-
     // Resize hook
     // scene.scale.on('resize', (size) => this.resize(size.width, size.height))
     this._resizeHandler = (size) => {
@@ -158,7 +169,14 @@ export class PostFXManager {
     }
     // Insert in composer
     this.composer.passes.splice(idx, 0, pass)
-    this.composer.readBuffer.setSize(this.renderer.domElement.width, this.renderer.domElement.height)
+    const size = this._size()
+    this.composer.readBuffer.setSize(size.x, size.y)
+  }
+
+  /** Drawing size in pixels: the canvas for the main manager, the composer's for a viewport */
+  _size() {
+    if (this.main) return new THREE.Vector2(this.renderer.domElement.width, this.renderer.domElement.height)
+    return new THREE.Vector2(this.composer.renderTarget1.width, this.composer.renderTarget1.height)
   }
 
   /** Add any pass */
@@ -214,9 +232,17 @@ export class PostFXManager {
   /** Handle resize for composer + passes */
   resize(w, h) {
     if (!this.renderer || !this.composer) return;
-    const dpr = Math.min(2, window.devicePixelRatio || 1)
-    this.renderer.setPixelRatio(dpr)
-    this.renderer.setSize(w, h)
+    if (this.main) {
+      const dpr = Math.min(2, window.devicePixelRatio || 1)
+      this.renderer.setPixelRatio(dpr)
+      this.renderer.setSize(w, h)
+    }
+    this.resizeComposer(w, h)
+  }
+
+  /** Resize the composer and passes only, for a view smaller than the canvas */
+  resizeComposer(w, h) {
+    if (!this.composer) return;
     this.composer.setSize(w, h)
     for (const { pass, onResize } of this._passes.values()) {
       // Some passes expose setSize
@@ -235,7 +261,7 @@ export class PostFXManager {
 
   /** Bloom */
   useBloom(name = 'bloom', { strength = 0.8, radius = 0.4, threshold = 0.85 } = {}, opts = {}) {
-    const size = new THREE.Vector2(this.renderer.domElement.width, this.renderer.domElement.height)
+    const size = this._size()
     const pass = new UnrealBloomPass(size, strength, radius, threshold)
     return this.add(name, pass, {
       ...opts,
@@ -247,7 +273,7 @@ export class PostFXManager {
   useFXAA(name = 'fxaa', opts = {}) {
     const pass = new ShaderPass(FXAAShader)
     const setRes = () => {
-      const r = this.renderer.getDrawingBufferSize(new THREE.Vector2())
+      const r = this._size()
       pass.material.uniforms['resolution'].value.set(1 / r.x, 1 / r.y)
     }
     setRes()
@@ -259,7 +285,7 @@ export class PostFXManager {
 
   /** Outline (selection highlighting) */
   useOutline(name = 'outline', { edgeStrength = 5, edgeThickness = 1, visibleEdge = '#ffff00', hiddenEdge = '#ffff00' } = {}, opts = {}) {
-    const size = new THREE.Vector2(this.renderer.domElement.width, this.renderer.domElement.height)
+    const size = this._size()
     const pass = new OutlinePass(size, this.scene, this.camera)
     pass.edgeStrength = edgeStrength
     pass.edgeThickness = edgeThickness
@@ -310,8 +336,8 @@ export class PostFXManager {
       renderer: this.renderer,
       scene: this.scene,
       camera: this.camera,
-      width: this.renderer.domElement.width,
-      height: this.renderer.domElement.height,
+      width: this._size().x,
+      height: this._size().y,
       output,
       thickness,
       maxDistance,
@@ -463,6 +489,7 @@ export class PostFXManager {
 
   // Force resize for cases where the canvas size may have changed but no resize event was fired (e.g. window reload)
   forceResize() {
+    if (!this.main) return
     const { width, height } = this.scene3d.scale.gameSize
     // Ensure non-zero:
     const W = Math.max(1, Math.floor(width))
@@ -0,0 +1,52 @@
+// Loading screen: acquires a scene's asset bundles with a progress bar, then starts that scene
+import Phaser from 'phaser';
+import { assets } from './AssetManager';
+import { GameScene } from './GameScene';
+
+export interface IPreloadData {
+  next: string;         // scene to start once loaded
+  bundles?: string[];   // defaults to the next scene's `bundles`
+  data?: any;           // passed on to the next scene's init/create
+}
+
+/**
+ * Put it first in the game config to load the first scene, and go through it for scene changes that need
+ * assets the current scene doesn't hold:
+ *
+ * @example
+ * scene: [new PreloaderScene('Preloader', { next: 'MainScene' }), MainScene, SecondScene]
+ * this.scene.start('Preloader', { next: 'SecondScene' });
+ */
+export class PreloaderScene extends Phaser.Scene {
+  private defaults: IPreloadData | null;
+  constructor(key = 'Preloader', defaults: IPreloadData | null = null) {
+    super({ key });
+    this.defaults = defaults;
+  }
+
+  create(data: Partial<IPreloadData>) {
+    const { next, bundles, data: nextData } = { ...this.defaults, ...data };
+    if (!next) {
+      console.warn('PreloaderScene: no scene to start after loading');
+      return;
+    }
+    const target = this.scene.get(next);
+    const toLoad = bundles ?? (target instanceof GameScene ? target.bundles : []);
+
+    const { width, height } = this.scale;
+    const barWidth = width * 0.4;
+    this.add.rectangle(width / 2, height / 2, barWidth + 8, 20).setStrokeStyle(2, 0xffffff);
+    const bar = this.add.rectangle(width / 2 - barWidth / 2, height / 2, 0, 12, 0xffffff).setOrigin(0, 0.5);
+    const label = this.add.text(width / 2, height / 2 + 24, '0%', { fontFamily: 'monospace', fontSize: '16px', color: '#ffffff' }).setOrigin(0.5, 0);
+
+    assets.game = this.game;
+    assets.acquire(toLoad, this.scene.key, progress => {
+      bar.width = barWidth * progress;
+      label.setText(`${Math.round(progress * 100)}%`);
+    }).then(() => {
+      // the next scene takes its own hold in init, ours goes once it has
+      this.scene.start(next, nextData);
+      assets.release(this.scene.key);
+    });
+  }
+}
@@ -0,0 +1,80 @@
+// Level file format and helpers for turning live scene values into JSON and back
+import { THREE } from "@enable3d/phaser-extension";
+
+export const LEVEL_VERSION = 1
+
+// --- Level Format -----------------------------------------------------------
+
+export interface ISerializedComponent {
+  type: string;                 // name the component class was registered under
+  props: Record<string, any>;   // constructor props, encoded
+  state?: any;                  // runtime state from compGetState, encoded
+}
+
+export interface ISerializedGameObject {
+  name: string;
+  objectType: string;
+  position: any;
+  rotation: any;
+  scale: any;
+  groups: string[];
+  tags: string[];
+  anims: string[];
+  health: number;
+  maxHealth: number;
+  resistances?: Record<string, number>;
+  invulnerabilityOnHit?: number;
+  physicsConfig: any;
+  model?: any;                  // model source, re-loaded through the factory
+  object?: any;                 // Object3D.toJSON() of the root mesh when there is no model
+  components: ISerializedComponent[];
+}
+
+export interface ISerializedLevel {
+  version: number;
+  objects: ISerializedGameObject[];
+}
+
+// --- Values -----------------------------------------------------------------
+
+/* encode a value as plain JSON, live scene objects (meshes, materials, class instances) are dropped */
+export function encodeValue(value: any): any {
+  if (value === null || value === undefined) return value
+  const type = typeof value
+  if (type === 'number' || type === 'string' || type === 'boolean') return value
+  if (type !== 'object') return undefined
+  if (value instanceof THREE.Vector2) return { $type: 'Vector2', x: value.x, y: value.y }
+  if (value instanceof THREE.Vector3) return { $type: 'Vector3', x: value.x, y: value.y, z: value.z }
+  if (value instanceof THREE.Quaternion) return { $type: 'Quaternion', x: value.x, y: value.y, z: value.z, w: value.w }
+  if (value instanceof THREE.Euler) return { $type: 'Euler', x: value.x, y: value.y, z: value.z, order: value.order }
+  if (value instanceof THREE.Color) return { $type: 'Color', hex: value.getHex() }
+  if (value instanceof Set) return { $type: 'Set', values: Array.from(value, encodeValue) }
+  if (ArrayBuffer.isView(value)) return Array.from(value as any)
+  if (Array.isArray(value)) return value.map(encodeValue)
+  // only plain data objects survive, anything with a class is live state
+  const proto = Object.getPrototypeOf(value)
+  if (proto !== Object.prototype && proto !== null) return undefined
+  const out: Record<string, any> = {}
+  for (const key in value) {
+    const encoded = encodeValue(value[key])
+    if (encoded !== undefined) out[key] = encoded
+  }
+  return out
+}
+
+/* inverse of encodeValue */
+export function decodeValue(value: any): any {
+  if (value === null || typeof value !== 'object') return value
+  if (Array.isArray(value)) return value.map(decodeValue)
+  switch (value.$type) {
+    case 'Vector2': return new THREE.Vector2(value.x, value.y)
+    case 'Vector3': return new THREE.Vector3(value.x, value.y, value.z)
+    case 'Quaternion': return new THREE.Quaternion(value.x, value.y, value.z, value.w)
+    case 'Euler': return new THREE.Euler(value.x, value.y, value.z, value.order)
+    case 'Color': return new THREE.Color(value.hex)
+    case 'Set': return new Set(value.values.map(decodeValue))
+  }
+  const out: Record<string, any> = {}
+  for (const key in value) out[key] = decodeValue(value[key])
+  return out
+}
@@ -0,0 +1,353 @@
+// Spatial queries over the scene's game objects, backed by a uniform spatial hash
+import { THREE } from "@enable3d/phaser-extension";
+import * as Types from '@enable3d/common/dist/types.js';
+import { GameObject } from "./GameObject";
+import { GameScene } from "./GameScene";
+
+const _box = new THREE.Box3()
+const _sphere = new THREE.Sphere()
+const _pos = new THREE.Vector3()
+const _min = new THREE.Vector3()
+const _max = new THREE.Vector3()
+const _closest = new THREE.Vector3()
+const _ray = new THREE.Ray()
+const _raycaster = new THREE.Raycaster()
+
+// objects spanning more cells than this per axis skip the hash and are always tested
+const MAX_CELLS_PER_AXIS = 8
+
+export interface IQueryFilter {
+  group?: string;
+  tag?: string;
+  exclude?: GameObject;
+  filter?: (gameObject: GameObject) => boolean;
+}
+
+export interface IRaycastOptions extends IQueryFilter {
+  maxDistance?: number;   // default 1000
+  precise?: boolean;      // test the actual meshes, not just bounding spheres (default true)
+  physics?: boolean;      // ask Ammo instead, only objects with bodies can be hit
+}
+
+export interface IRaycastHit {
+  gameObject: GameObject;
+  point: THREE.Vector3;
+  normal: THREE.Vector3 | null;
+  distance: number;
+}
+
+interface IEntry {
+  gameObject: GameObject;
+  offset: THREE.Vector3;    // bounding sphere center relative to the object's world position
+  radius: number;
+  center: THREE.Vector3;    // bounding sphere center in world space
+  keys: string[];
+  large: boolean;
+}
+
+/**
+ * Keeps every game object in a spatial hash keyed by its bounding sphere and answers overlap, nearest and
+ * raycast queries against it. Bounds are measured when an object is added (call refreshBounds after
+ * resizing one); positions are re-hashed every frame by GameScene.
+ *
+ * @example
+ * const near = scene.query.overlapSphere(explosion.position, 5, { group: 'cubes' });
+ * const hit = scene.query.raycast(camera.position, forward, { maxDistance: 3, tag: 'interactable' });
+ */
+export class SpatialQuery {
+  gameScene: GameScene;
+  cellSize: number;
+  private cells = new Map<string, Set<IEntry>>();
+  private entries = new Map<GameObject, IEntry>();
+  private large = new Set<IEntry>();
+  private physicsRay: any = null;
+  constructor(gameScene: GameScene, cellSize = 8) {
+    this.gameScene = gameScene;
+    this.cellSize = cellSize;
+  }
+
+  // --- Bookkeeping -----------------------------------------------------------
+
+  insert(gameObject: GameObject) {
+    if (this.entries.has(gameObject)) return;
+    const entry: IEntry = { gameObject, offset: new THREE.Vector3(), radius: 0, center: new THREE.Vector3(), keys: [], large: false };
+    this.entries.set(gameObject, entry);
+    this.measure(entry);
+    this.rehash(entry);
+  }
+
+  remove(gameObject: GameObject) {
+    const entry = this.entries.get(gameObject);
+    if (!entry) return;
+    this.unhash(entry);
+    this.entries.delete(gameObject);
+  }
+
+  /* re-measure an object's bounds after its shape or scale changed */
+  refreshBounds(gameObject: GameObject) {
+    const entry = this.entries.get(gameObject);
+    if (!entry) return;
+    this.measure(entry);
+    this.rehash(entry);
+  }
+
+  /* re-hash objects that moved since the last call */
+  update() {
+    for (const entry of this.entries.values()) {
+      entry.gameObject.props.object3D.getWorldPosition(_pos).add(entry.offset);
+      if (_pos.distanceToSquared(entry.center) < 1e-6) continue;
+      this.rehash(entry);
+    }
+  }
+
+  clear() {
+    this.cells.clear();
+    this.entries.clear();
+    this.large.clear();
+    this.physicsRay?.destroy?.();
+    this.physicsRay = null;
+  }
+
+  // --- Queries ---------------------------------------------------------------
+
+  /* objects whose bounding sphere overlaps the sphere */
+  overlapSphere(center: Types.XYZ, radius: number, filter: IQueryFilter = {}) {
+    _sphere.center.set(center.x ?? 0, center.y ?? 0, center.z ?? 0);
+    _sphere.radius = radius;
+    _min.copy(_sphere.center).subScalar(radius);
+    _max.copy(_sphere.center).addScalar(radius);
+    const found: GameObject[] = [];
+    for (const entry of this.candidates(_min, _max)) {
+      if (!this.accept(entry, filter)) continue;
+      const reach = radius + entry.radius;
+      if (entry.center.distanceToSquared(_sphere.center) <= reach * reach) found.push(entry.gameObject);
+    }
+    return found;
+  }
+
+  /* objects whose bounding sphere overlaps the axis-aligned box */
+  overlapBox(center: Types.XYZ, halfExtents: Types.XYZ, filter: IQueryFilter = {}) {
+    _min.set((center.x ?? 0) - (halfExtents.x ?? 0), (center.y ?? 0) - (halfExtents.y ?? 0), (center.z ?? 0) - (halfExtents.z ?? 0));
+    _max.set((center.x ?? 0) + (halfExtents.x ?? 0), (center.y ?? 0) + (halfExtents.y ?? 0), (center.z ?? 0) + (halfExtents.z ?? 0));
+    _box.set(_min, _max);
+    const found: GameObject[] = [];
+    for (const entry of this.candidates(_min, _max)) {
+      if (!this.accept(entry, filter)) continue;
+      _box.clampPoint(entry.center, _closest);
+      if (_closest.distanceToSquared(entry.center) <= entry.radius * entry.radius) found.push(entry.gameObject);
+    }
+    return found;
+  }
+
+  /* closest object by world position, searching outwards from the point's cell */
+  nearest(point: Types.XYZ, filter: IQueryFilter = {}, maxDistance = Infinity): GameObject | null {
+    const origin = new THREE.Vector3(point.x ?? 0, point.y ?? 0, point.z ?? 0);
+    let radius = this.cellSize;
+    while (true) {
+      const searchRadius = Math.min(radius, maxDistance);
+      // once the search box holds more cells than are occupied, a straight scan is cheaper
+      const cells = Math.pow(2 * Math.ceil(searchRadius / this.cellSize) + 1, 3);
+      if (cells > this.cells.size) return this.closest(origin, this.entries.values(), filter, maxDistance);
+      const candidates = this.overlapSphere(origin, searchRadius, filter).map(obj => this.entries.get(obj)!);
+      const best = this.closest(origin, candidates, {}, maxDistance);
+      if (!best) {
+        if (searchRadius >= maxDistance) return null;
+        radius *= 2;
+        continue;
+      }
+      // anything closer than the best would have been inside this search sphere too
+      const dist = best.props.object3D.getWorldPosition(_pos).distanceTo(origin);
+      if (dist <= searchRadius) return best;
+      radius = dist;
+    }
+  }
+
+  /* first object hit along a ray */
+  raycast(origin: Types.XYZ, direction: Types.XYZ, options: IRaycastOptions = {}): IRaycastHit | null {
+    const { maxDistance = 1000, precise = true, physics = false } = options;
+    _ray.origin.set(origin.x ?? 0, origin.y ?? 0, origin.z ?? 0);
+    _ray.direction.set(direction.x ?? 0, direction.y ?? 0, direction.z ?? 0).normalize();
+    if (physics) return this.raycastPhysics(_ray, maxDistance, options);
+    return this.raycastHash(_ray, maxDistance, precise, options);
+  }
+
+  // --- Internals -------------------------------------------------------------
+
+  private accept(entry: IEntry, filter: IQueryFilter) {
+    const obj = entry.gameObject;
+    if (!obj.alive || obj.pooled || obj === filter.exclude) return false;
+    if (filter.group && !obj.inGroup(filter.group)) return false;
+    if (filter.tag && !obj.hasTag(filter.tag)) return false;
+    return !filter.filter || filter.filter(obj);
+  }
+
+  private closest(origin: THREE.Vector3, entries: Iterable<IEntry>, filter: IQueryFilter, maxDistance: number) {
+    let best: GameObject | null = null;
+    let bestDist = maxDistance;
+    for (const entry of entries) {
+      if (!this.accept(entry, filter)) continue;
+      const d = entry.gameObject.props.object3D.getWorldPosition(_pos).distanceTo(origin);
+      if (d <= bestDist) {
+        best = entry.gameObject;
+        bestDist = d;
+      }
+    }
+    return best;
+  }
+
+  private measure(entry: IEntry) {
+    const object3D = entry.gameObject.props.object3D;
+    _box.setFromObject(object3D);
+    object3D.getWorldPosition(_pos);
+    if (_box.isEmpty()) {
+      entry.offset.set(0, 0, 0);
+      entry.radius = 0;
+      return;
+    }
+    _box.getBoundingSphere(_sphere);
+    entry.offset.copy(_sphere.center).sub(_pos);
+    entry.radius = _sphere.radius;
+  }
+
+  private cell(v: number) {
+    return Math.floor(v / this.cellSize);
+  }
+
+  private rehash(entry: IEntry) {
+    entry.gameObject.props.object3D.getWorldPosition(entry.center).add(entry.offset);
+    this.unhash(entry);
+    const r = entry.radius;
+    const x0 = this.cell(entry.center.x - r), x1 = this.cell(entry.center.x + r);
+    const y0 = this.cell(entry.center.y - r), y1 = this.cell(entry.center.y + r);
+    const z0 = this.cell(entry.center.z - r), z1 = this.cell(entry.center.z + r);
+    if (Math.max(x1 - x0, y1 - y0, z1 - z0) >= MAX_CELLS_PER_AXIS) {
+      entry.large = true;
+      this.large.add(entry);
+      return;
+    }
+    for (let x = x0; x <= x1; x++) {
+      for (let y = y0; y <= y1; y++) {
+        for (let z = z0; z <= z1; z++) {
+          const key = `${x},${y},${z}`;
+          let cell = this.cells.get(key);
+          if (!cell) this.cells.set(key, cell = new Set());
+          cell.add(entry);
+          entry.keys.push(key);
+        }
+      }
+    }
+  }
+
+  private unhash(entry: IEntry) {
+    for (const key of entry.keys) {
+      const cell = this.cells.get(key);
+      if (!cell) continue;
+      cell.delete(entry);
+      if (!cell.size) this.cells.delete(key);
+    }
+    entry.keys = [];
+    if (entry.large) this.large.delete(entry);
+    entry.large = false;
+  }
+
+  /* entries in cells touching the box, plus the large ones */
+  private candidates(min: THREE.Vector3, max: THREE.Vector3) {
+    const found = new Set<IEntry>(this.large);
+    const x0 = this.cell(min.x), x1 = this.cell(max.x);
+    const y0 = this.cell(min.y), y1 = this.cell(max.y);
+    const z0 = this.cell(min.z), z1 = this.cell(max.z);
+    const span = (x1 - x0 + 1) * (y1 - y0 + 1) * (z1 - z0 + 1);
+    // a huge box visits fewer cells by walking the occupied ones
+    if (span > this.cells.size) {
+      for (const entry of this.entries.values()) found.add(entry);
+      return found;
+    }
+    for (let x = x0; x <= x1; x++) {
+      for (let y = y0; y <= y1; y++) {
+        for (let z = z0; z <= z1; z++) {
+          this.cells.get(`${x},${y},${z}`)?.forEach(entry => found.add(entry));
+        }
+      }
+    }
+    return found;
+  }
+
+  /* walk the cells along the ray (Amanatides & Woo) and stop once a hit is closer than the next cell */
+  private raycastHash(ray: THREE.Ray, maxDistance: number, precise: boolean, filter: IQueryFilter) {
+    const tested = new Set<IEntry>();
+    let best: IRaycastHit | null = null;
+    const test = (entry: IEntry) => {
+      if (tested.has(entry)) return;
+      tested.add(entry);
+      if (!this.accept(entry, filter)) return;
+      const hit = this.hitEntry(entry, ray, maxDistance, precise);
+      if (hit && (!best || hit.distance < best.distance)) best = hit;
+    };
+    this.large.forEach(test);
+
+    const cs = this.cellSize;
+    const { origin, direction: dir } = ray;
+    let cx = this.cell(origin.x), cy = this.cell(origin.y), cz = this.cell(origin.z);
+    const stepX = Math.sign(dir.x), stepY = Math.sign(dir.y), stepZ = Math.sign(dir.z);
+    const boundary = (c: number, step: number) => (c + (step > 0 ? 1 : 0)) * cs;
+    let tMaxX = stepX ? (boundary(cx, stepX) - origin.x) / dir.x : Infinity;
+    let tMaxY = stepY ? (boundary(cy, stepY) - origin.y) / dir.y : Infinity;
+    let tMaxZ = stepZ ? (boundary(cz, stepZ) - origin.z) / dir.z : Infinity;
+    const tDeltaX = stepX ? cs / Math.abs(dir.x) : Infinity;
+    const tDeltaY = stepY ? cs / Math.abs(dir.y) : Infinity;
+    const tDeltaZ = stepZ ? cs / Math.abs(dir.z) : Infinity;
+    let t = 0;
+    while (t <= maxDistance) {
+      this.cells.get(`${cx},${cy},${cz}`)?.forEach(test);
+      const tExit = Math.min(tMaxX, tMaxY, tMaxZ);
+      if (best && (best as IRaycastHit).distance <= tExit) break;
+      if (tMaxX === tExit) { cx += stepX; tMaxX += tDeltaX; }
+      else if (tMaxY === tExit) { cy += stepY; tMaxY += tDeltaY; }
+      else { cz += stepZ; tMaxZ += tDeltaZ; }
+      t = tExit;
+    }
+    return best;
+  }
+
+  private hitEntry(entry: IEntry, ray: THREE.Ray, maxDistance: number, precise: boolean): IRaycastHit | null {
+    _sphere.center.copy(entry.center);
+    _sphere.radius = entry.radius;
+    const point = ray.intersectSphere(_sphere, new THREE.Vector3());
+    if (!point) return null;
+    const distance = point.distanceTo(ray.origin);
+    if (distance > maxDistance) return null;
+    if (!precise) return { gameObject: entry.gameObject, point, normal: null, distance };
+    _raycaster.ray.copy(ray);
+    _raycaster.far = maxDistance;
+    const hit = _raycaster.intersectObject(entry.gameObject.props.object3D, true)[0];
+    if (!hit) return null;
+    const normal = hit.face ? hit.face.normal.clone().transformDirection(hit.object.matrixWorld) : null;
+    return { gameObject: entry.gameObject, point: hit.point, normal, distance: hit.distance };
+  }
+
+  private raycastPhysics(ray: THREE.Ray, maxDistance: number, filter: IQueryFilter): IRaycastHit | null {
+    const physics = this.gameScene.third.physics;
+    if (!physics) return null;
+    this.physicsRay ??= physics.add.raycaster('allHits');
+    const rc = this.physicsRay;
+    const { origin, direction } = ray;
+    rc.setRayFromWorld(origin.x, origin.y, origin.z);
+    rc.setRayToWorld(origin.x + direction.x * maxDistance, origin.y + direction.y * maxDistance, origin.z + direction.z * maxDistance);
+    rc.rayTest();
+    if (!rc.hasHit()) return null;
+    const points = rc.getHitPointsWorld();
+    const normals = rc.getHitNormalsWorld();
+    const objects = rc.getCollisionObjects();
+    let best: IRaycastHit | null = null;
+    for (let i = 0; i < objects.length; i++) {
+      const gameObject = this.gameScene.getGameObject(objects[i]);
+      const entry = gameObject && this.entries.get(gameObject);
+      if (!entry || !this.accept(entry, filter)) continue;
+      const point = new THREE.Vector3(points[i].x, points[i].y, points[i].z);
+      const distance = point.distanceTo(origin);
+      if (best && distance >= best.distance) continue;
+      best = { gameObject: entry.gameObject, point, normal: new THREE.Vector3(normals[i].x, normals[i].y, normals[i].z), distance };
+    }
+    return best;
+  }
+}
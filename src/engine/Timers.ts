@@ -0,0 +1,79 @@
+// Per game object timers, ticked by GameScene so they pause with the scene and die with their object
+
+export interface ITimer {
+  delay: number;        // seconds between calls
+  elapsed: number;
+  repeat: number;       // calls left after the next one, -1 forever
+  callback: () => void;
+  cancelled: boolean;
+  cancel: () => void;
+}
+
+/**
+ * Timers advance by the scene's frame delta times `scene.time.timeScale`, so they stop while the scene is
+ * paused and slow down with it. Everything is cancelled when the owner is removed or returned to its pool;
+ * a pending wait() then never resolves, so code after the await doesn't run on a dead object.
+ */
+export class Timers {
+  private timers: ITimer[] = []
+  private generation = 0
+
+  /* call fn once after `seconds` */
+  after(seconds: number, fn: () => void) {
+    return this.add(seconds, 0, fn)
+  }
+
+  /* call fn every `seconds`, `count` times or until cancelled */
+  every(seconds: number, fn: () => void, count = -1) {
+    return this.add(seconds, count > 0 ? count - 1 : -1, fn)
+  }
+
+  /* resolves after `seconds`, for async sequences: await this.wait(1) */
+  wait(seconds: number) {
+    return new Promise<void>(resolve => this.after(seconds, resolve))
+  }
+
+  get size() {
+    return this.timers.length
+  }
+
+  clear() {
+    this.timers.forEach(timer => timer.cancelled = true)
+    this.timers = []
+    this.generation++
+  }
+
+  update(dt: number) {
+    if (!this.timers.length) return
+    const generation = this.generation
+    // copy so callbacks can add or cancel timers while we iterate
+    for (const timer of [...this.timers]) {
+      if (timer.cancelled) continue
+      timer.elapsed += dt
+      while (timer.elapsed >= timer.delay && !timer.cancelled) {
+        timer.elapsed -= timer.delay
+        if (timer.repeat === 0) timer.cancelled = true
+        else if (timer.repeat > 0) timer.repeat--
+        timer.callback()
+        // a callback cleared everything (owner killed), stop here
+        if (generation !== this.generation) return
+        // zero delay repeats once per frame instead of spinning
+        if (timer.delay <= 0) break
+      }
+    }
+    this.timers = this.timers.filter(timer => !timer.cancelled)
+  }
+
+  private add(delay: number, repeat: number, callback: () => void) {
+    const timer: ITimer = {
+      delay: Math.max(0, delay),
+      elapsed: 0,
+      repeat,
+      callback,
+      cancelled: false,
+      cancel: () => timer.cancelled = true
+    }
+    this.timers.push(timer)
+    return timer
+  }
+}
@@ -0,0 +1,217 @@
+// On-screen touch controls: a virtual joystick, a look pad and action buttons that feed the input actions
+import { GameScene } from './GameScene';
+import { Widget } from './Widget';
+import { actions } from './InputActions';
+
+export interface ITouchButton {
+  action: string;       // input action it presses, e.g. 'jump'
+  label?: string;
+  x: number;            // from the bottom right corner, in pixels
+  y: number;
+  radius?: number;      // default 40
+  control?: string;     // defaults to 'Touch:<action>', bound to the action if it isn't yet
+}
+
+export interface ITouchControlsProps {
+  show?: boolean | 'auto';   // 'auto' only on touch devices (default)
+  joystickRadius?: number;   // default 70
+  joystickMargin?: number;   // base center from the bottom left corner, default 130
+  lookScale?: number;        // screen pixels -> 'look' pixels, default 1
+  alpha?: number;            // default 0.4
+  depth?: number;            // default 1000
+  buttons?: ITouchButton[];
+}
+
+export const DEFAULT_TOUCH_BUTTONS: ITouchButton[] = [
+  { action: 'jump', label: 'A', x: 90, y: 110, radius: 45 },
+  { action: 'interact', label: 'E', x: 190, y: 80 },
+  { action: 'toggleFly', label: 'F', x: 80, y: 220, radius: 32 },
+];
+
+const CIRCLE_TEXTURE = 'touch-circle';
+const PAD_TEXTURE = 'touch-pad';
+const CIRCLE_SIZE = 128;
+
+/**
+ * The joystick sets 'Touch:MoveX' / 'Touch:MoveY' (bound to 'move'), dragging anywhere else on the right half of
+ * the screen adds to 'Touch:Look' (bound to 'look') and buttons hold their control while touched, so CompMovement
+ * and CompCamera work unchanged. Every control follows its own finger, they can all be used at once.
+ * Removed with the scene.
+ *
+ * @example
+ * this.touch = new TouchControls(this, { buttons: [...DEFAULT_TOUCH_BUTTONS, { action: 'fire', label: 'F', x: 200, y: 200 }] });
+ */
+export class TouchControls {
+  scene: GameScene;
+  props: ITouchControlsProps;
+  visible = false;
+  private base: Widget | null = null;
+  private knob: Widget | null = null;
+  private pad: Widget | null = null;
+  private buttons: { button: ITouchButton; widget: Widget; label?: Phaser.GameObjects.Text; control: string }[] = [];
+  private owners = new Map<number, string>();   // pointer id -> control it drives
+  private lastLook = new Map<number, { x: number; y: number }>();
+  constructor(scene: GameScene, props: ITouchControlsProps = {}) {
+    this.scene = scene;
+    this.props = props;
+    const show = props.show ?? 'auto';
+    if (show === 'auto' ? !TouchControls.isTouchDevice(scene) : !show) return;
+    this.create();
+  }
+
+  static isTouchDevice(scene: Phaser.Scene) {
+    return scene.sys.game.device.input.touch || (typeof matchMedia !== 'undefined' && matchMedia('(pointer: coarse)').matches);
+  }
+
+  setVisible(visible: boolean) {
+    if (visible && !this.base) this.create();
+    if (!visible) this.releaseAll();
+    this.visible = visible;
+    [this.base, this.knob, this.pad, ...this.buttons.map(b => b.widget)].forEach(w => w?.image.setVisible(visible));
+    this.buttons.forEach(b => b.label?.setVisible(visible));
+  }
+
+  destroy() {
+    this.releaseAll();
+    this.scene.events.off('shutdown', this.destroy, this);
+    const input = this.scene.input;
+    input.off('pointermove', this.onMove, this);
+    input.off('pointerup', this.onUp, this);
+    input.off('pointerupoutside', this.onUp, this);
+    [this.base, this.knob, this.pad, ...this.buttons.map(b => b.widget)].forEach(w => w?.destroy());
+    this.buttons.forEach(b => b.label?.destroy());
+    this.buttons = [];
+    this.base = this.knob = this.pad = null;
+  }
+
+  // --- Setup -----------------------------------------------------------------
+
+  private create() {
+    const scene = this.scene;
+    const p = this.props;
+    const { width, height } = scene.scale;
+    const alpha = p.alpha ?? 0.4;
+    const depth = p.depth ?? 1000;
+    const radius = p.joystickRadius ?? 70;
+    const margin = p.joystickMargin ?? 130;
+    this.makeTextures();
+    // saved bindings replace the defaults that carry these
+    actions.ensureBinding('move', { x: 'Touch:MoveX', y: 'Touch:MoveY', invertY: true });
+    actions.ensureBinding('look', 'Touch:Look');
+    // one pointer per finger: joystick, look and a button at the same time
+    const missing = 4 - scene.input.manager.pointersTotal;
+    if (missing > 0) scene.input.addPointer(missing);
+
+    // behind the other controls so they get touches first
+    this.pad = new Widget(scene, { texture: PAD_TEXTURE, x: width, y: 0, origin: [1, 0], scale: [width / 2, height] });
+    this.pad.image.setAlpha(0.001).setDepth(depth);
+    this.pad.image.on('pointerdown', (pointer: Phaser.Input.Pointer) => {
+      this.owners.set(pointer.id, 'Touch:Look');
+      this.lastLook.set(pointer.id, { x: pointer.x, y: pointer.y });
+    });
+
+    const scale = (radius * 2) / CIRCLE_SIZE;
+    this.base = new Widget(scene, { texture: CIRCLE_TEXTURE, x: margin, y: height - margin, scale: [scale, scale] });
+    this.base.image.setAlpha(alpha).setDepth(depth + 1);
+    this.knob = new Widget(scene, { texture: CIRCLE_TEXTURE, x: margin, y: height - margin, scale: [scale * 0.45, scale * 0.45] });
+    this.knob.image.setAlpha(alpha * 1.5).setDepth(depth + 2).disableInteractive();
+    this.base.image.on('pointerdown', (pointer: Phaser.Input.Pointer) => {
+      this.owners.set(pointer.id, 'Touch:Move');
+      this.moveStick(pointer);
+    });
+
+    for (const button of p.buttons ?? DEFAULT_TOUCH_BUTTONS) {
+      const control = button.control ?? `Touch:${button.action}`;
+      actions.ensureBinding(button.action, control);
+      const size = ((button.radius ?? 40) * 2) / CIRCLE_SIZE;
+      const x = width - button.x;
+      const y = height - button.y;
+      const widget = new Widget(scene, { texture: CIRCLE_TEXTURE, x, y, scale: [size, size] });
+      widget.image.setAlpha(alpha).setDepth(depth + 1);
+      widget.image.on('pointerdown', (pointer: Phaser.Input.Pointer) => {
+        this.owners.set(pointer.id, control);
+        actions.setControl(control, 1);
+        widget.image.setAlpha(Math.min(1, alpha * 2));
+      });
+      const label = button.label ? scene.add.text(x, y, button.label, { fontFamily: 'monospace', fontSize: `${Math.round((button.radius ?? 40) * 0.8)}px`, color: '#000000' })
+        .setOrigin(0.5).setScrollFactor(0).setDepth(depth + 2) : undefined;
+      this.buttons.push({ button, widget, label, control });
+    }
+
+    scene.input.on('pointermove', this.onMove, this);
+    scene.input.on('pointerup', this.onUp, this);
+    scene.input.on('pointerupoutside', this.onUp, this);
+    scene.events.once('shutdown', this.destroy, this);
+    this.visible = true;
+  }
+
+  /* white circle and pixel textures, tinted and scaled by the widgets */
+  private makeTextures() {
+    const textures = this.scene.textures;
+    if (!textures.exists(CIRCLE_TEXTURE)) {
+      const g = this.scene.make.graphics({}, false);
+      g.fillStyle(0xffffff, 1).fillCircle(CIRCLE_SIZE / 2, CIRCLE_SIZE / 2, CIRCLE_SIZE / 2);
+      g.generateTexture(CIRCLE_TEXTURE, CIRCLE_SIZE, CIRCLE_SIZE);
+      g.destroy();
+    }
+    if (!textures.exists(PAD_TEXTURE)) {
+      const g = this.scene.make.graphics({}, false);
+      g.fillStyle(0xffffff, 1).fillRect(0, 0, 1, 1);
+      g.generateTexture(PAD_TEXTURE, 1, 1);
+      g.destroy();
+    }
+  }
+
+  // --- Pointers --------------------------------------------------------------
+
+  private onMove(pointer: Phaser.Input.Pointer) {
+    const owner = this.owners.get(pointer.id);
+    if (owner === 'Touch:Move') this.moveStick(pointer);
+    else if (owner === 'Touch:Look') {
+      const last = this.lastLook.get(pointer.id)!;
+      const scale = this.props.lookScale ?? 1;
+      actions.addDelta('Touch:Look', (pointer.x - last.x) * scale, (pointer.y - last.y) * scale);
+      this.lastLook.set(pointer.id, { x: pointer.x, y: pointer.y });
+    }
+  }
+
+  private onUp(pointer: Phaser.Input.Pointer) {
+    const owner = this.owners.get(pointer.id);
+    if (owner) this.release(pointer.id, owner);
+  }
+
+  /* knob follows the finger inside the base, x/y are -1..1 with y down like the screen */
+  private moveStick(pointer: Phaser.Input.Pointer) {
+    if (!this.base || !this.knob) return;
+    const radius = this.props.joystickRadius ?? 70;
+    let dx = pointer.x - this.base.image.x;
+    let dy = pointer.y - this.base.image.y;
+    const length = Math.hypot(dx, dy);
+    if (length > radius) {
+      dx *= radius / length;
+      dy *= radius / length;
+    }
+    this.knob.setPosition(this.base.image.x + dx, this.base.image.y + dy);
+    actions.setControl('Touch:MoveX', dx / radius);
+    actions.setControl('Touch:MoveY', dy / radius);
+  }
+
+  private release(id: number, owner: string) {
+    this.owners.delete(id);
+    if (owner === 'Touch:Move') {
+      this.knob?.setPosition(this.base!.image.x, this.base!.image.y);
+      actions.setControl('Touch:MoveX', 0);
+      actions.setControl('Touch:MoveY', 0);
+    } else if (owner === 'Touch:Look') {
+      this.lastLook.delete(id);
+    } else {
+      actions.setControl(owner, 0);
+      const entry = this.buttons.find(b => b.control === owner);
+      entry?.widget.image.setAlpha(this.props.alpha ?? 0.4);
+    }
+  }
+
+  private releaseAll() {
+    [...this.owners].forEach(([id, owner]) => this.release(id, owner));
+  }
+}
@@ -1,6 +1,7 @@
 // Utility functions for the game engine
 import { THREE } from '@enable3d/phaser-extension'
 import { GameScene } from './GameScene';
+import { assets } from './AssetManager';
 
 // Phaser tween easings references
 export const tweensEasing = {
@@ -24,8 +25,24 @@ export function getBox(size: number, color: any) {
   return new THREE.Mesh(geometry, material);
 }
 
-export function loadImages(scene: GameScene, images: string[]) {
-  const getImagePath = (file: string) => `./textures/${file}`
+/* deep-merge plain objects into a fresh copy, anything else (arrays, Sets, THREE objects) is replaced */
+export function deepMerge<T extends Record<string, any>>(base: T, override: Record<string, any> = {}): T {
+  const isPlain = (v: any) => v !== null && typeof v === 'object' && Object.getPrototypeOf(v) === Object.prototype;
+  const out: Record<string, any> = {};
+  for (const key of new Set([...Object.keys(base), ...Object.keys(override)])) {
+    const a = base[key];
+    const b = override[key];
+    if (b === undefined) out[key] = isPlain(a) ? deepMerge(a) : a;
+    else if (isPlain(a) && isPlain(b)) out[key] = deepMerge(a, b);
+    else out[key] = isPlain(b) ? deepMerge(b) : b;
+  }
+  return out as T;
+}
+
+/* queue images on the scene's Phaser loader from `dir` under the app base url, bundles in the AssetManager
+   are the managed alternative */
+export function loadImages(scene: GameScene, images: string[], dir = 'textures/') {
+  const getImagePath = (file: string) => `${assets.baseUrl}${dir}${file}`
   for (const path of images) {
     const key = path.split('/').pop()?.split('.')[0] || path;
     scene.load.image(key, getImagePath(path));
@@ -0,0 +1,262 @@
+// Viewports: named secondary cameras drawn to screen rectangles (split-screen, picture-in-picture) or Phaser textures
+import { THREE } from "@enable3d/phaser-extension";
+import { EffectComposer } from 'three/addons/postprocessing/EffectComposer.js';
+import { PostFXManager } from './PostFxManager.js';
+import type { GameScene } from './GameScene';
+
+// 0..1 of the screen, from the top left like Phaser
+export interface IViewportRect {
+  x: number;
+  y: number;
+  width: number;
+  height: number;
+}
+
+export interface IViewportProps {
+  camera?: THREE.PerspectiveCamera | THREE.OrthographicCamera;    // default a new 60° perspective camera
+  rect?: IViewportRect;         // draw on screen, over the main view
+  texture?: { key: string; width: number; height: number };      // or into a Phaser texture, in pixels
+  // textures: frames between renders, 0 only after refresh() (default 3). Each render reads the pixels back to the
+  // CPU, which waits for the GPU to finish: keep textures small and use 1 only where it must keep up, like a mirror
+  interval?: number;
+  order?: number;               // screen viewports draw in ascending order (default 0)
+  scene?: THREE.Scene;          // what to draw, default the game's scene (a portrait can have its own)
+}
+
+/**
+ * One secondary camera. `fx` is its own PostFXManager: passes added there only affect this viewport.
+ * Texture viewports end with an 'output' pass (tone mapping and sRGB), add yours with `{ before: 'output' }`.
+ */
+export class Viewport {
+  name: string;
+  camera: THREE.PerspectiveCamera | THREE.OrthographicCamera;
+  props: IViewportProps;
+  fx: PostFXManager;
+  enabled = true;
+  private composer: EffectComposer;
+  private frames = 0;
+  private dirty = true;
+  private pixels: Uint8Array | null = null;
+  private image: ImageData | null = null;
+  private ownsTexture = false;
+  constructor(scene: GameScene, name: string, props: IViewportProps) {
+    this.name = name;
+    this.props = props;
+    this.camera = props.camera ?? new THREE.PerspectiveCamera(60, 1, 0.1, 1000);
+    const renderer = scene.third.renderer;
+    const texture = props.texture;
+    // 8 bit targets so textures read back straight into a canvas
+    this.composer = texture
+      ? new EffectComposer(renderer, new THREE.WebGLRenderTarget(texture.width, texture.height, { type: THREE.UnsignedByteType }))
+      : new EffectComposer(renderer);
+    this.fx = new PostFXManager(scene, { camera: this.camera, composer: this.composer, scene: props.scene });
+    if (texture) {
+      this.composer.setPixelRatio(1);
+      this.composer.renderToScreen = false;
+      this.fx.useOutput('output');
+      this.pixels = new Uint8Array(texture.width * texture.height * 4);
+      this.image = new ImageData(texture.width, texture.height);
+      this.ownsTexture = !scene.textures.exists(texture.key);
+      if (this.ownsTexture) scene.textures.createCanvas(texture.key, texture.width, texture.height);
+      else console.warn(`Viewports: texture '${texture.key}' already exists, '${name}' draws into it`);
+      this.setSize(texture.width, texture.height);
+    }
+  }
+
+  get isTexture() {
+    return !!this.props.texture;
+  }
+
+  /* render a texture viewport on the next frame, for interval 0 */
+  refresh() {
+    this.dirty = true;
+  }
+
+  setRect(rect: IViewportRect) {
+    this.props.rect = rect;
+  }
+
+  /* composer size and camera aspect, in CSS pixels for screen viewports */
+  setSize(width: number, height: number) {
+    this.fx.resizeComposer(Math.max(1, width), Math.max(1, height));
+    setAspect(this.camera, width / Math.max(1, height));
+  }
+
+  /* true when a texture viewport is due this frame */
+  due() {
+    if (!this.enabled) return false;
+    const interval = this.props.interval ?? 3;
+    this.frames++;
+    if (this.dirty || (interval > 0 && this.frames >= interval)) {
+      this.frames = 0;
+      this.dirty = false;
+      return true;
+    }
+    return false;
+  }
+
+  render() {
+    this.composer.render();
+  }
+
+  /* copy the finished frame into the Phaser texture, flipped: GL rows start at the bottom */
+  upload(scene: GameScene) {
+    const { key, width, height } = this.props.texture!;
+    const canvas = scene.textures.get(key) as Phaser.Textures.CanvasTexture;
+    if (!canvas?.context) return;
+    scene.third.renderer.readRenderTargetPixels(this.composer.readBuffer, 0, 0, width, height, this.pixels!);
+    const row = width * 4;
+    for (let y = 0; y < height; y++) {
+      this.image!.data.set(this.pixels!.subarray((height - 1 - y) * row, (height - y) * row), y * row);
+    }
+    canvas.context.putImageData(this.image!, 0, 0);
+    canvas.refresh();
+  }
+
+  destroy(scene: GameScene) {
+    this.fx.destroy();
+    const key = this.props.texture?.key;
+    if (key && this.ownsTexture && scene.textures.exists(key)) scene.textures.remove(key);
+  }
+}
+
+function setAspect(camera: THREE.Camera, aspect: number) {
+  if (camera instanceof THREE.PerspectiveCamera) {
+    camera.aspect = aspect;
+    camera.updateProjectionMatrix();
+  }
+}
+
+/**
+ * Hooks into the scene's render: texture viewports are drawn first so Phaser images show this frame's picture,
+ * then the main view (inside `mainRect` if set), then screen viewports on top. Rectangles follow the canvas size.
+ *
+ * @example
+ * // couch co-op
+ * const [left, right] = Viewports.split(2);
+ * this.viewports.setMainRect(left);
+ * const p2 = this.viewports.add('player2', { rect: right });   // CompCamera: { viewport: 'player2' }
+ * // rear-view mirror as a Phaser image
+ * this.viewports.add('mirror', { texture: { key: 'mirror', width: 256, height: 96 }, interval: 1 });
+ * this.add.image(640, 60, 'mirror').setFlipX(true);
+ */
+export class Viewports {
+  scene: GameScene;
+  mainRect: IViewportRect | null = null;
+  private views = new Map<string, Viewport>();
+  constructor(scene: GameScene) {
+    this.scene = scene;
+    const third = scene.third;
+    third.preRender = () => this.preRender();
+    third.postRender = () => this.postRender();
+    scene.scale.on('resize', this.layout, this);
+    scene.events.once('shutdown', this.destroy, this);
+  }
+
+  /* two side by side, three or four in quadrants */
+  static split(count: number): IViewportRect[] {
+    if (count <= 1) return [{ x: 0, y: 0, width: 1, height: 1 }];
+    if (count === 2) return [{ x: 0, y: 0, width: 0.5, height: 1 }, { x: 0.5, y: 0, width: 0.5, height: 1 }];
+    return [0, 1, 2, 3].slice(0, count).map(i => ({ x: (i % 2) * 0.5, y: Math.floor(i / 2) * 0.5, width: 0.5, height: 0.5 }));
+  }
+
+  add(name: string, props: IViewportProps = {}) {
+    if (!props.rect && !props.texture) console.warn(`Viewports: '${name}' has neither a rect nor a texture, it won't be drawn`);
+    this.remove(name);
+    const view = new Viewport(this.scene, name, props);
+    this.views.set(name, view);
+    this.layout();
+    return view;
+  }
+
+  get(name: string) {
+    return this.views.get(name);
+  }
+
+  remove(name: string) {
+    this.views.get(name)?.destroy(this.scene);
+    this.views.delete(name);
+  }
+
+  /* the main camera's share of the screen, null for all of it */
+  setMainRect(rect: IViewportRect | null) {
+    this.mainRect = rect;
+    this.layout();
+  }
+
+  setRect(name: string, rect: IViewportRect) {
+    this.views.get(name)?.setRect(rect);
+    this.layout();
+  }
+
+  /* per-pass update hooks of every viewport's fx, like fx.update for the main view */
+  update(time: number, dt: number) {
+    this.views.forEach(view => view.enabled && view.fx.update(time, dt));
+  }
+
+  /* sizes and aspects from the canvas, on every resize and rect change */
+  layout() {
+    const size = this.scene.third.renderer.getSize(new THREE.Vector2());
+    const main = this.mainRect ?? { x: 0, y: 0, width: 1, height: 1 };
+    this.scene.fx?.resizeComposer(size.x * main.width, size.y * main.height);
+    setAspect(this.scene.third.camera, (size.x * main.width) / Math.max(1, size.y * main.height));
+    this.views.forEach(view => {
+      const rect = view.props.rect;
+      if (rect && !view.isTexture) view.setSize(size.x * rect.width, size.y * rect.height);
+    });
+  }
+
+  destroy() {
+    this.scene.scale.off('resize', this.layout, this);
+    this.scene.events.off('shutdown', this.destroy, this);
+    this.views.forEach(view => view.destroy(this.scene));
+    this.views.clear();
+  }
+
+  // --- Rendering -------------------------------------------------------------
+
+  private preRender() {
+    const renderer = this.scene.third.renderer;
+    for (const view of this.views.values()) {
+      if (!view.isTexture || !view.due()) continue;
+      view.render();
+      view.upload(this.scene);
+    }
+    if (!this.mainRect) return;
+    // fx.forceResize and the main resize handler size the main view to the whole canvas, take our share back
+    const camera = this.scene.third.camera;
+    const size = renderer.getSize(new THREE.Vector2());
+    const aspect = (size.x * this.mainRect.width) / Math.max(1, size.y * this.mainRect.height);
+    if (camera instanceof THREE.PerspectiveCamera && Math.abs(camera.aspect - aspect) > 1e-4) this.layout();
+    renderer.setRenderTarget(null);
+    renderer.setScissorTest(false);
+    renderer.clear();
+    this.applyRect(renderer, this.mainRect);
+  }
+
+  private postRender() {
+    const renderer = this.scene.third.renderer;
+    const onScreen = [...this.views.values()].filter(view => view.enabled && !view.isTexture && view.props.rect);
+    onScreen.sort((a, b) => (a.props.order ?? 0) - (b.props.order ?? 0));
+    for (const view of onScreen) {
+      this.applyRect(renderer, view.props.rect!);
+      view.render();
+    }
+    if (!this.mainRect && !onScreen.length) return;
+    const size = renderer.getSize(new THREE.Vector2());
+    renderer.setViewport(0, 0, size.x, size.y);
+    renderer.setScissor(0, 0, size.x, size.y);
+    renderer.setScissorTest(false);
+  }
+
+  /* viewport and scissor for a top-left rect, GL counts from the bottom */
+  private applyRect(renderer: THREE.WebGLRenderer, rect: IViewportRect) {
+    const size = renderer.getSize(new THREE.Vector2());
+    const x = rect.x * size.x;
+    const y = (1 - rect.y - rect.height) * size.y;
+    renderer.setRenderTarget(null);
+    renderer.setViewport(x, y, rect.width * size.x, rect.height * size.y);
+    renderer.setScissor(x, y, rect.width * size.x, rect.height * size.y);
+    renderer.setScissorTest(true);
+  }
+}
@@ -0,0 +1,122 @@
+// VRM helpers: retarget Mixamo clips onto a VRM humanoid rig
+import { THREE } from "@enable3d/phaser-extension";
+import { FBXLoader } from 'three/addons/loaders/FBXLoader.js';
+import { VRM, VRMHumanBoneName } from '@pixiv/three-vrm';
+
+const _quat = new THREE.Quaternion()
+const _restInverse = new THREE.Quaternion()
+const _parentRest = new THREE.Quaternion()
+const _vec = new THREE.Vector3()
+
+// Mixamo rig bone -> VRM humanoid bone
+export const MIXAMO_VRM_BONES: Record<string, VRMHumanBoneName> = {
+  mixamorigHips: 'hips',
+  mixamorigSpine: 'spine',
+  mixamorigSpine1: 'chest',
+  mixamorigSpine2: 'upperChest',
+  mixamorigNeck: 'neck',
+  mixamorigHead: 'head',
+  mixamorigLeftShoulder: 'leftShoulder',
+  mixamorigLeftArm: 'leftUpperArm',
+  mixamorigLeftForeArm: 'leftLowerArm',
+  mixamorigLeftHand: 'leftHand',
+  mixamorigLeftHandThumb1: 'leftThumbMetacarpal',
+  mixamorigLeftHandThumb2: 'leftThumbProximal',
+  mixamorigLeftHandThumb3: 'leftThumbDistal',
+  mixamorigLeftHandIndex1: 'leftIndexProximal',
+  mixamorigLeftHandIndex2: 'leftIndexIntermediate',
+  mixamorigLeftHandIndex3: 'leftIndexDistal',
+  mixamorigLeftHandMiddle1: 'leftMiddleProximal',
+  mixamorigLeftHandMiddle2: 'leftMiddleIntermediate',
+  mixamorigLeftHandMiddle3: 'leftMiddleDistal',
+  mixamorigLeftHandRing1: 'leftRingProximal',
+  mixamorigLeftHandRing2: 'leftRingIntermediate',
+  mixamorigLeftHandRing3: 'leftRingDistal',
+  mixamorigLeftHandPinky1: 'leftLittleProximal',
+  mixamorigLeftHandPinky2: 'leftLittleIntermediate',
+  mixamorigLeftHandPinky3: 'leftLittleDistal',
+  mixamorigRightShoulder: 'rightShoulder',
+  mixamorigRightArm: 'rightUpperArm',
+  mixamorigRightForeArm: 'rightLowerArm',
+  mixamorigRightHand: 'rightHand',
+  mixamorigRightHandPinky1: 'rightLittleProximal',
+  mixamorigRightHandPinky2: 'rightLittleIntermediate',
+  mixamorigRightHandPinky3: 'rightLittleDistal',
+  mixamorigRightHandRing1: 'rightRingProximal',
+  mixamorigRightHandRing2: 'rightRingIntermediate',
+  mixamorigRightHandRing3: 'rightRingDistal',
+  mixamorigRightHandMiddle1: 'rightMiddleProximal',
+  mixamorigRightHandMiddle2: 'rightMiddleIntermediate',
+  mixamorigRightHandMiddle3: 'rightMiddleDistal',
+  mixamorigRightHandIndex1: 'rightIndexProximal',
+  mixamorigRightHandIndex2: 'rightIndexIntermediate',
+  mixamorigRightHandIndex3: 'rightIndexDistal',
+  mixamorigRightHandThumb1: 'rightThumbMetacarpal',
+  mixamorigRightHandThumb2: 'rightThumbProximal',
+  mixamorigRightHandThumb3: 'rightThumbDistal',
+  mixamorigLeftUpLeg: 'leftUpperLeg',
+  mixamorigLeftLeg: 'leftLowerLeg',
+  mixamorigLeftFoot: 'leftFoot',
+  mixamorigLeftToeBase: 'leftToes',
+  mixamorigRightUpLeg: 'rightUpperLeg',
+  mixamorigRightLeg: 'rightLowerLeg',
+  mixamorigRightFoot: 'rightFoot',
+  mixamorigRightToeBase: 'rightToes',
+}
+
+/**
+ * Convert a clip recorded on a Mixamo rig into one for the VRM's normalized humanoid bones. `rig` is the
+ * object the clip came with (the loaded FBX), its rest pose is baked out of the rotations and hip motion is
+ * scaled to the VRM's hip height (other bones keep their own offsets). Play the result with a mixer rooted anywhere above vrm.scene.
+ */
+export function retargetMixamoClip(vrm: VRM, clip: THREE.AnimationClip, rig: THREE.Object3D, name = clip.name) {
+  const tracks: THREE.KeyframeTrack[] = []
+  const mixamoHips = rig.getObjectByName('mixamorigHips')
+  const vrmHips = vrm.humanoid.getNormalizedBoneNode('hips')
+  if (!mixamoHips || !vrmHips) {
+    console.warn(`retargetMixamoClip: '${clip.name}' needs hips on both rigs`)
+    return new THREE.AnimationClip(name, clip.duration, tracks)
+  }
+  // hip height in the VRM's own units, the model is usually scaled up by the factory
+  const vrmScale = vrm.scene.getWorldScale(_vec).y
+  const vrmHipsHeight = Math.abs(vrmHips.getWorldPosition(_vec).y - vrm.scene.getWorldPosition(new THREE.Vector3()).y) / vrmScale
+  const hipsScale = vrmHipsHeight / mixamoHips.position.y
+  // VRM 0.x models face the other way
+  const isVrm0 = vrm.meta?.metaVersion === '0'
+  for (const track of clip.tracks) {
+    const [rigBone, property] = track.name.split('.')
+    const boneName = MIXAMO_VRM_BONES[rigBone]
+    const vrmNode = boneName ? vrm.humanoid.getNormalizedBoneNode(boneName) : null
+    const rigNode = rig.getObjectByName(rigBone)
+    if (!vrmNode || !rigNode) continue
+    rigNode.getWorldQuaternion(_restInverse).invert()
+    if (rigNode.parent) rigNode.parent.getWorldQuaternion(_parentRest)
+    else _parentRest.identity()
+    if (track instanceof THREE.QuaternionKeyframeTrack) {
+      const values = new Float32Array(track.values.length)
+      for (let i = 0; i < values.length; i += 4) {
+        _quat.fromArray(track.values, i).premultiply(_parentRest).multiply(_restInverse)
+        _quat.toArray(values, i)
+        if (isVrm0) {
+          values[i] = -values[i]
+          values[i + 2] = -values[i + 2]
+        }
+      }
+      tracks.push(new THREE.QuaternionKeyframeTrack(`${vrmNode.name}.${property}`, Array.from(track.times), Array.from(values)))
+    } else if (track instanceof THREE.VectorKeyframeTrack && boneName === 'hips') {
+      const values = Array.from(track.values, (v, i) => (isVrm0 && i % 3 !== 1 ? -v : v) * hipsScale)
+      tracks.push(new THREE.VectorKeyframeTrack(`${vrmNode.name}.${property}`, Array.from(track.times), values))
+    }
+  }
+  return new THREE.AnimationClip(name, clip.duration, tracks)
+}
+
+const fbxLoader = new FBXLoader()
+
+/* load a Mixamo FBX (exported "without skin" is enough) and retarget its clip */
+export async function loadMixamoClip(vrm: VRM, url: string, name?: string) {
+  const asset = await fbxLoader.loadAsync(url)
+  const clip = THREE.AnimationClip.findByName(asset.animations, 'mixamo.com') ?? asset.animations[0]
+  if (!clip) throw new Error(`No animation in ${url}`)
+  return retargetMixamoClip(vrm, clip, asset, name ?? clip.name)
+}
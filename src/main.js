@@ -7,17 +7,27 @@ import {
 } from "@enable3d/phaser-extension";
 import { GameScene } from './engine/GameScene.js'
 import { GameObjectFactory } from './engine/GameObject.js'
-import { CompWeather } from "./components/CompWeather.js";
-import { loadImages, getBox } from "./engine/Utils.js";
+import { getBox } from "./engine/Utils.js";
 import { Widget } from "./engine/Widget.js";
+import { assets } from "./engine/AssetManager.js";
+import { PreloaderScene } from "./engine/PreloaderScene.js";
+import { TouchControls } from "./engine/TouchControls.js";
+import "./prefabs/Starters.js";
+
+// what each scene needs, loaded by the preloader and released when the scene shuts down
+assets.addManifest({
+  bundles: {
+    ui: {
+      images: { ball: 'textures/ball.png' },
+      audio: { boom: { src: 'audio/pop.ogg', volume: 0.9 } },
+    },
+  }
+});
 
 class MainScene extends GameScene {
   constructor() {
     super("MainScene");
-  }
-
-  preload() {
-    loadImages(this, ['ball.png']);
+    this.bundles = ['ui'];
   }
 
   async create() {
@@ -37,6 +47,9 @@ class MainScene extends GameScene {
 
     this.third.physics.debug.enable()
 
+    // joystick, look pad and buttons on phones and tablets, nothing on desktop
+    this.touch = new TouchControls(this);
+
     const ball = new Widget(this, { 
       texture: 'ball', 
       x: 100, 
@@ -89,13 +102,10 @@ class MainScene extends GameScene {
     //   }]])
     // });
   
-    GameObjectFactory.create(this, {
-      name: 'Sky',
-      position: { x: 0, y: 0, z: 0 },
-      groups: ['sky'], 
-      components: new Map([
-        [CompWeather, { lights, dayLength: 30, nightLength: 10, weatherType: 'clear', startTime: .65, active: false }]
-      ])
+    GameObjectFactory.createFromPrefab(this, 'SunSky', {
+      components: {
+        CompWeather: { lights, dayLength: 30, nightLength: 10, startTime: .65, active: false }
+      }
     });
 
     // GameObjectFactory.create(this, { 
@@ -103,7 +113,7 @@ class MainScene extends GameScene {
     //   position: { x: 2, y: 8, z: 0 },
     //   groups: ['cubes'], 
     //   components: new Map([
-    //     [CompBuoyancy, { water: this.water.components.entries().next().value[0], probes: [new THREE.Vector3(0, 0, 5), new THREE.Vector3(5, 0, 0), new THREE.Vector3(-5, 0, 0), new THREE.Vector3(0, 0, -5)] }]
+    //     [CompBuoyancy, { probes: [new THREE.Vector3(0, 0, 5), new THREE.Vector3(5, 0, 0), new THREE.Vector3(-5, 0, 0), new THREE.Vector3(0, 0, -5)] }]
     //   ]),
     //   physicsConfig: { 
     //     mass: 1, 
@@ -153,30 +163,15 @@ class MainScene extends GameScene {
     //   } 
     // });
 
-    GameObjectFactory.create(this, { 
+    GameObjectFactory.createFromPrefab(this, 'BreakableCrate', { 
       object3D: getBox(2, 0xffff00), 
       position: { x: 0, y: 35, z: 0 },
       groups: ['cubes'], 
-      physicsConfig: { 
-        mass: 10, 
-        collisionFlags: 0, 
-        breakable: true, 
-        fractureImpulse: 10 
-      } 
+      physicsConfig: { mass: 10 } 
     });
 
-    // GameObjectFactory.createFromModelVrm(this, { model: 'character1', scale: 2 }, {
-    //   name: 'Player',
+    // GameObjectFactory.createFromPrefab(this, 'ThirdPersonCharacter', {
     //   position: { x: 3, y: 2, z: 0 },
-    //   groups: ['characters', 'player'],
-    //   physicsConfig: { 
-    //     mass: 1, 
-    //     collisionFlags: 2
-    //   },
-    //   components: new Map([
-    //     // [CompCamera, { offset: { x: 0, y: 1.3, z: -0.3 }, sensitivity: 0.002 }],
-    //     [CompMovement, { speed: 5, jumpForce: 6, flySpeed: 10 }],
-    //   ])
     // });
   }
 }
@@ -184,10 +179,7 @@ class MainScene extends GameScene {
 class SecondScene extends GameScene {
   constructor() {
     super("SecondScene");
-  }
-
-  preload() {
-    // loadImages(this, ['ball.png']);
+    this.bundles = ['ui'];
   }
 
   async create() {
@@ -252,7 +244,7 @@ const config = {
     antialias: true, 
     antialiasGL: true,
   },
-  scene: [MainScene, SecondScene],
+  scene: [new PreloaderScene('Preloader', { next: 'MainScene' }), MainScene, SecondScene],
   ...Canvas(),
 };
 
@@ -0,0 +1,52 @@
+// Starter prefabs, import once to register them with GameObjectFactory
+import { GameObjectFactory } from '../engine/GameObject';
+import { getBox } from '../engine/Utils';
+import '../components/CompWeather';
+import '../components/CompMovement';
+import '../components/CompCamera';
+import '../components/CompStats';
+import '../components/CompVrm';
+
+// Simple physics box for testing
+GameObjectFactory.registerPrefab('Crate', {
+  build: () => getBox(1, 0x8b5a2b),
+  props: {
+    groups: ['crates'],
+    physicsConfig: { mass: 1, collisionFlags: 0 }
+  }
+});
+
+// Crate that shatters on a hard enough impact
+GameObjectFactory.registerPrefab('BreakableCrate', {
+  extends: 'Crate',
+  props: {
+    physicsConfig: { breakable: true, fractureImpulse: 10 }
+  }
+});
+
+// Day/night sky, pass the warpSpeed lights in: { components: { CompWeather: { lights } } }
+GameObjectFactory.registerPrefab('SunSky', {
+  props: {
+    name: 'Sky',
+    groups: ['sky'],
+    components: {
+      CompWeather: { dayLength: 120, nightLength: 60, weatherType: 'clear', startTime: 0.25, active: true }
+    }
+  }
+});
+
+// VRM character with movement and an over-the-shoulder camera, expects ./models/character1.vrm
+GameObjectFactory.registerPrefab('ThirdPersonCharacter', {
+  model: { model: 'character1', scale: 2, format: 'vrm' },
+  props: {
+    name: 'Player',
+    groups: ['characters', 'player'],
+    physicsConfig: { mass: 1, collisionFlags: 2 },
+    components: {
+      CompStats: { base: { damage: 1 } },
+      CompVrm: { autoBlink: true, lookAt: 'camera' },
+      CompMovement: { speed: 5, jumpForce: 6, flySpeed: 10 },
+      CompCamera: { mode: 'thirdPerson', modes: ['thirdPerson', 'firstPerson'], offset: { x: 0.6, y: 1.6, z: 3 }, eyeHeight: 1.5, minDistance: 1.5, maxDistance: 6, sensitivity: 0.002 }
+    }
+  }
+});